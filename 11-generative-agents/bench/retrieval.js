@@ -0,0 +1,143 @@
+// Retrieval benchmark: indexed MemoryStream.retrieve vs. the original full rescan.
+//
+// Run in a browser (open bench/retrieval.html through a local web server)
+// or with Node 22+:  node bench/retrieval.js
+//
+// For each stream size it reports the time to build the stream, the average query time of
+// both implementations, and whether they return the same top-k with the same scores.
+
+import { MemoryStream, MemoryRecord, DEFAULT_SCORING } from "../src/memory.js";
+import { seededRandom } from "../src/util.js";
+
+const SIZES = [1000, 10000, 20000];
+const QUERIES = 50;
+const K = 8;
+
+const NAMES = ["Isabella Rodriguez", "Klaus Mueller", "Maria Lopez", "John Lin", "Sam Moore"];
+const PLACES = ["Hobbs Cafe", "Johnson Park", "Oak Hill College", "the library", "Willow Market", "Town Plaza"];
+const VERBS = ["is talking with", "is studying near", "mentions", "is planning a party with", "waves at", "asks about the election with"];
+const TOPICS = ["gentrification", "the Valentine's Day party", "physics homework", "the mayor election", "coffee", "a new book", "medication", "Twitch streaming"];
+
+function makeText(rand) {
+  const pick = (arr) => arr[Math.floor(rand() * arr.length)];
+  return `${pick(NAMES)} ${pick(VERBS)} ${pick(NAMES)} at ${pick(PLACES)} about ${pick(TOPICS)}`;
+}
+
+// ---- reference: the original (pre-index) retrieval ----
+// Same as MemoryStream before the index: document frequencies are kept up to date on add(), and
+// every query rescans all records, weighting each one's TF-IDF vector from scratch.
+
+class ReferenceStream {
+  constructor() {
+    this.records = [];
+    this.df = new Map(); // token -> doc frequency
+  }
+
+  add(rec) {
+    this.records.push(rec);
+    for (const t of new Set(rec.tokens)) this.df.set(t, (this.df.get(t) ?? 0) + 1);
+  }
+
+  retrieve(query, now, k, scoring) {
+    const N = this.records.length || 1;
+    const idf = (t) => Math.log((N + 1) / ((this.df.get(t) ?? 0) + 1)) + 1;
+    const tfidf = (tf) => new Map([...tf].map(([t, f]) => [t, f * idf(t)]));
+    const cos = (a, b) => {
+      let dot = 0, na = 0, nb = 0;
+      for (const [t, wa] of a) { na += wa * wa; const wb = b.get(t); if (wb != null) dot += wa * wb; }
+      for (const [, wb] of b) nb += wb * wb;
+      return na === 0 || nb === 0 ? 0 : dot / (Math.sqrt(na) * Math.sqrt(nb));
+    };
+
+    const qTF = new Map();
+    for (const t of new MemoryRecord({ id: "q", time: now, text: query }).tokens) qTF.set(t, (qTF.get(t) ?? 0) + 1);
+    const qVec = tfidf(qTF);
+
+    const scored = this.records.map(rec => {
+      const relevance = cos(qVec, tfidf(rec.tf));
+      const recency = Math.pow(scoring.decay, Math.max(0, (now - rec.lastAccessed) / 3600000));
+      const importance = Math.max(1, Math.min(10, rec.importance)) / 10;
+      return { rec, relevance, recency, importance };
+    });
+    if (scoring.mode === "normalized") {
+      for (const key of ["relevance", "recency", "importance"]) {
+        const vals = scored.map(s => s[key]);
+        const lo = Math.min(...vals), hi = Math.max(...vals);
+        for (const s of scored) s[key] = hi > lo ? (s[key] - lo) / (hi - lo) : 0.5;
+      }
+    }
+    const w = scoring.weights;
+    for (const s of scored) s.score = w.relevance * s.relevance + w.recency * s.recency + w.importance * s.importance;
+    scored.sort((a, b) => b.score - a.score);
+    return scored.slice(0, k);
+  }
+}
+
+// ---- benchmark ----
+
+function timeIt(fn) {
+  const t0 = performance.now();
+  const out = fn();
+  return [out, performance.now() - t0];
+}
+
+function runSize(size, scoring) {
+  const rand = seededRandom(`bench-${size}`);
+  const start = new Date("2023-02-13T08:00:00").getTime();
+  const records = Array.from({ length: size }, (_, i) => new MemoryRecord({
+    id: `m_${i}`,
+    time: new Date(start + i * 60000), // one memory per simulated minute
+    text: makeText(rand),
+    importance: 1 + Math.floor(rand() * 10),
+  }));
+  const now = new Date(start + size * 60000);
+
+  const stream = new MemoryStream();
+  stream.scoring = scoring;
+  stream.dedupe.threshold = 0; // keep every synthetic record, like the reference
+  const [, buildMs] = timeIt(() => { for (const r of records) stream.add(r); });
+  const reference = new ReferenceStream();
+  for (const r of records) reference.add(r);
+
+  const queries = Array.from({ length: QUERIES }, () => makeText(rand));
+  let indexedMs = 0;
+  let referenceMs = 0;
+  let maxDiff = 0;
+  let sameTopK = true;
+  for (const q of queries) {
+    const [a, ta] = timeIt(() => stream.retrieve(q, now, K, { touch: false }));
+    const [b, tb] = timeIt(() => reference.retrieve(q, now, K, scoring));
+    indexedMs += ta;
+    referenceMs += tb;
+    for (let i = 0; i < K; i++) {
+      maxDiff = Math.max(maxDiff, Math.abs(a[i].score - b[i].score));
+      // equal scores may legitimately swap places; only flag real differences
+      if (a[i].rec !== b[i].rec && Math.abs(a[i].score - b[i].score) > 1e-9) sameTopK = false;
+    }
+  }
+
+  return {
+    size,
+    mode: scoring.mode,
+    buildMs: buildMs.toFixed(0),
+    indexedQueryMs: (indexedMs / QUERIES).toFixed(2),
+    referenceQueryMs: (referenceMs / QUERIES).toFixed(2),
+    speedup: `${(referenceMs / indexedMs).toFixed(1)}x`,
+    maxScoreDiff: maxDiff.toExponential(1),
+    sameTopK,
+  };
+}
+
+export function runBenchmark(log = console.log) {
+  const results = [];
+  for (const mode of ["sum", "normalized"]) {
+    for (const size of SIZES) {
+      const r = runSize(size, { ...structuredClone(DEFAULT_SCORING), mode });
+      results.push(r);
+      log(JSON.stringify(r));
+    }
+  }
+  return results;
+}
+
+if (typeof document === "undefined") runBenchmark();
@@ -1,42 +1,97 @@
 // WebLLM Generative Agents Mini
-// - HTML+JS only (client-only). No server backend.
-// - Uses WebLLM (MLC) via CDN import.
+// - HTML+JS only (client-only). No server backend of our own.
+// - Uses WebLLM (MLC) via CDN import, or any OpenAI-compatible server (llama.cpp, Ollama, ...).
 // - Educational replication inspired by "Generative Agents" paper.
 
 import * as webllm from "https://esm.run/@mlc-ai/web-llm";
 
 import { LLMClient } from "./src/llm.js";
+import { WebLLMProvider, OpenAICompatibleProvider } from "./src/providers.js";
+import { ScriptedProvider } from "./src/mock.js";
+import { Cassette, RecordingProvider, ReplayProvider } from "./src/cassette.js";
+import { ResponseCache } from "./src/cache.js";
+import { HashedNgramEmbedder, BrowserModelEmbedder } from "./src/embedding.js";
+import { MemoryInspector } from "./src/inspector.js";
+import { DEFAULT_COMPACTION, DEFAULT_DEDUPE, DEFAULT_SCORING, describeScored, memoryText } from "./src/memory.js";
 import { World } from "./src/world.js";
+import { traceDiffusion } from "./src/diffusion.js";
+import { renderRelationshipGraph } from "./src/relationships.js";
+import { Interview } from "./src/interview.js";
 import { makeAgents } from "./src/scenario.js";
-import { formatSimTime, sleep } from "./src/util.js";
+import { diffLines, downloadJSON, escapeHTML, formatSimTime, isAbortError, sleep } from "./src/util.js";
 
 const el = (id) => document.getElementById(id);
 
+const backendSelect = el("backendSelect");
 const modelSelect = el("modelSelect");
+const endpointInput = el("endpointInput");
+const remoteModelInput = el("remoteModelInput");
+const jsonModeSelect = el("jsonModeSelect");
+const fixtureFile = el("fixtureFile");
+const recordToggle = el("recordToggle");
+const btnCassette = el("btnCassette");
 const btnLoad = el("btnLoad");
 const btnReset = el("btnReset");
 const btnStep = el("btnStep");
 const btnRun = el("btnRun");
 const btnPause = el("btnPause");
 const statusEl = el("status");
+const replayStatEl = el("replayStat");
 const simTimeEl = el("simTime");
+const queueStatEl = el("queueStat");
 const speedEl = el("speed");
 const speedLabel = el("speedLabel");
 const modeSelect = el("modeSelect");
+const repairSelect = el("repairSelect");
+const cacheSelect = el("cacheSelect");
+const btnCacheClear = el("btnCacheClear");
+const cacheStatEl = el("cacheStat");
 
 const agentListEl = el("agentList");
 const agentKVEl = el("agentKV");
 const thoughtBox = el("thoughtBox");
 const planBox = el("planBox");
 const memoryBox = el("memoryBox");
+const relevanceSelect = el("relevanceSelect");
+const compareToggle = el("compareToggle");
+const scoringSelect = el("scoringSelect");
+const weightInputs = { relevance: el("wRelevance"), recency: el("wRecency"), importance: el("wImportance") };
+const decayInput = el("decayInput");
+const compactionSelect = el("compactionSelect");
+const dedupeSelect = el("dedupeSelect");
+const inspectorDetails = el("inspectorDetails");
+const reflectionBox = el("reflectionBox");
+const relationDetails = el("relationDetails");
+const relationCtx = el("relationCanvas").getContext("2d");
+const relationBox = el("relationBox");
+const interviewDetails = el("interviewDetails");
+const interviewLog = el("interviewLog");
+const interviewInput = el("interviewInput");
+const btnInterviewAsk = el("btnInterviewAsk");
+const btnInterviewClear = el("btnInterviewClear");
+const injectText = el("injectText");
+const injectType = el("injectType");
+const injectImportance = el("injectImportance");
+const injectReplan = el("injectReplan");
+const btnInject = el("btnInject");
+const injectStatus = el("injectStatus");
 const logBox = el("logBox");
+const conversationBox = el("conversationBox");
+const diffusionDetails = el("diffusionDetails");
+const diffusionInput = el("diffusionInput");
+const diffusionStatus = el("diffusionStatus");
+const diffusionBox = el("diffusionBox");
+const correctionBox = el("correctionBox");
 const promptBox = el("promptBox");
+const telemetryBox = el("telemetryBox");
+const btnTelemetryClear = el("btnTelemetryClear");
 
 const canvas = el("worldCanvas");
 const ctx = canvas.getContext("2d");
 
-let engine = null;
 let llm = null;
+// One cache for the page; it survives model reloads (entries are keyed by model id anyway).
+const responseCache = new ResponseCache({ mode: cacheSelect.value });
 
 let world = null;
 let agents = [];
@@ -44,6 +99,27 @@ let selectedAgentId = null;
 
 let simTime = null;
 let running = false;
+let tickController = null; // AbortController of the tick in progress
+let renderQueued = false;
+let tickCount = 0; // ticks since page load (telemetry groups calls by tick; 0 = agent initialization)
+let reflectionKey = ""; // what the reflection tree was last rendered from
+const openReflections = new Set(); // ids of expanded reflection nodes
+let conversationCount = -1; // world.conversations.length the threads were last rendered from
+const openConversations = new Set(); // ids of expanded conversation threads
+const interviews = new Map(); // agent id -> Interview
+let interviewKey = ""; // what the interview log was last rendered from
+let interviewController = null; // AbortController of the question being answered
+const openInterviewTurns = new WeakSet(); // turns whose retrieved memories are expanded
+let injectController = null; // AbortController of the intervention's re-plan call
+const inspector = new MemoryInspector(el("inspectorBox"), { isVisible: () => inspectorDetails.open });
+
+// Embedders are shared by all agents' memory streams (stateless apart from the loaded model).
+const embedders = {
+  hashed: new HashedNgramEmbedder(),
+  model: new BrowserModelEmbedder({
+    onProgress: (p) => { if (p?.status === "progress") setStatus(`embedding model… ${Math.round(p.progress ?? 0)}%`, "warn"); },
+  }),
+};
 
 // Simulation constants
 const MINUTES_PER_TICK = 10;
@@ -55,6 +131,23 @@ function setStatus(text, kind = "muted") {
   statusEl.className = kind;
 }
 
+// Requests a replay didn't find on its cassette were answered by the scripted fallback instead,
+// so a run with misses has drifted from the recording.
+function renderReplayStat() {
+  const p = llm?.provider;
+  if (!(p instanceof ReplayProvider)) {
+    replayStatEl.textContent = "";
+    return;
+  }
+  replayStatEl.textContent = `· replay: ${p.misses} missed (cassette: ${p.cassette.size} responses)`;
+  replayStatEl.className = p.misses ? "warn" : "muted";
+}
+
+function renderQueueStat({ depth, running }) {
+  queueStatEl.textContent = running ? `${depth} waiting · running ${running}` : `${depth} waiting`;
+  queueStatEl.className = depth > 0 ? "warn" : "muted";
+}
+
 function updateSpeedLabel() {
   speedLabel.textContent = "x" + speedEl.value;
 }
@@ -84,17 +177,312 @@ function renderSidePanel() {
     ["Name", a.name],
     ["Role", a.title],
     ["Location", world?.nearestPlaceName(a.x, a.y) ?? "-"],
-    ["Action", a.currentAction ?? "-"],
-    ["Energy", String(a.energy)],
-    ["Memory count", String(a.memory.records.length)],
+    ["Action", (a.currentAction ?? "-") + (a.busyUntil > simTime ? ` <span class="muted">(until ${formatSimTime(a.busyUntil).slice(11)})</span>` : "")],
+    ["Needs", needsHTML(a)],
+    ["Sleep", `${a.sleepWindow.bed}-${a.sleepWindow.wake}${a.asleep ? ` <span class="warn">asleep</span>` : ""}`],
+    ["Memory count", memoryCountHTML(a)],
+    ["Merged", mergeStatsHTML(a)],
+    ["Last JSON", jsonStatusHTML(a)],
     ["Mode", modeSelect.value],
   ];
   agentKVEl.innerHTML = kv.map(([k,v]) => `<div>${k}</div><div>${v}</div>`).join("");
 
-  thoughtBox.textContent = a.lastThought || "(no thought yet)";
-  planBox.textContent = a.dailyPlanText() || "(no plan yet)";
+  thoughtBox.textContent = (a.lastThought || "(no thought yet)")
+    + (a.lastUtterance ? `\n\nSays: "${a.lastUtterance}"` : "");
+  renderPlan(a);
   memoryBox.textContent = a.lastRetrievedMemoriesText || "(no retrieval yet)";
-  promptBox.textContent = a.lastPromptText || "(no prompt yet)";
+  renderMemoryCompare(a).catch((e) => console.warn("memory comparison failed:", e));
+  renderReflections(a);
+  renderRelationships(a);
+  renderInterview(a);
+  inspector.show(a, simTime);
+  promptBox.textContent = (a.lastPromptText || "(no prompt yet)")
+    + (a.lastResponseText ? `\n\n===\n\nRESPONSE:\n${a.lastResponseText}` : "");
+}
+
+// Plan, then each revision (newest first) as a diff of the remaining plan it replaced.
+function renderPlan(a) {
+  planBox.replaceChildren(a.dailyPlanText() || "(no plan yet)");
+  const last = a.diaries.at(-1);
+  if (last) {
+    const head = document.createElement("div");
+    head.className = "muted";
+    head.style.marginTop = "10px";
+    head.textContent = `Diary, ${last.date}: ${last.diary}`
+      + (last.commitments.length ? `\nOpen commitments: ${last.commitments.join("; ")}` : "");
+    planBox.appendChild(head);
+  }
+  for (const rev of a.planRevisions.slice().reverse()) {
+    const head = document.createElement("div");
+    head.className = "muted";
+    head.style.marginTop = "10px";
+    head.textContent = `Revised at ${formatSimTime(rev.time).slice(11)}: ${rev.reason}`;
+    planBox.appendChild(head);
+    for (const d of diffLines(rev.before, rev.after)) {
+      const line = document.createElement("div");
+      line.className = { "-": "bad", "+": "good", " ": "muted" }[d.op];
+      line.textContent = `${d.op} ${d.line}`;
+      planBox.appendChild(line);
+    }
+  }
+}
+
+function memoryCountHTML(a) {
+  const st = a.memory.compactionStats;
+  if (!st.folded && !st.evicted) return String(a.memory.records.length);
+  return `${a.memory.records.length} <span class="muted">(${st.digests} digests of ${st.folded}, ${st.evicted} evicted)</span>`;
+}
+
+function needsHTML(a) {
+  const { needs } = a;
+  const cls = (flag) => (flag ? "bad" : "good");
+  return `<span class="${cls(needs.tired)}">energy ${Math.round(needs.energy)}</span> · `
+    + `<span class="${cls(needs.hungry)}">hunger ${Math.round(needs.hunger)}</span> · `
+    + `<span class="${cls(needs.lonely)}">social ${Math.round(needs.social)}</span>`;
+}
+
+function mergeStatsHTML(a) {
+  const merged = a.memory.mergeStats.merged;
+  if (!merged) return `0 <span class="muted">near-duplicates</span>`;
+  const spans = a.memory.records.filter(r => r.count > 1).length;
+  return `${merged} <span class="muted">near-duplicates folded into ${spans} records</span>`;
+}
+
+function formatRetrieved(list) {
+  return list.map(describeScored).join("\n") || "(nothing)";
+}
+
+// Re-runs the agent's last retrieval query with both relevance functions (read-only).
+async function renderMemoryCompare(a) {
+  const on = compareToggle.checked && !!a.lastRetrievalQuery && !!a.memory.embedder;
+  el("memoryCompare").classList.toggle("hidden", !on);
+  memoryBox.classList.toggle("hidden", on);
+  if (!on) return;
+
+  const q = a.lastRetrievalQuery;
+  el("memoryBoxTfidf").textContent = formatRetrieved(a.memory.retrieve(q, simTime, 8, { relevance: "tfidf", touch: false }));
+  el("memoryCompareLabel").textContent = `Embedding (${a.memory.embedder.id})`;
+
+  a.lastQueryVector ??= await a.memory.embedQuery(q);
+  if (a.lastRetrievalQuery !== q) return; // agent moved on while we were embedding
+  el("memoryBoxEmb").textContent = formatRetrieved(
+    a.memory.retrieve(q, simTime, 8, { relevance: "embedding", queryVector: a.lastQueryVector, touch: false })
+  );
+}
+
+// Reflection tree: each insight expands into the memories it cites (recursively, since
+// reflections can cite reflections). Rebuilt only when the agent's reflections change, so
+// expanded nodes stay open while the sim runs.
+function renderReflections(a) {
+  const refs = a.memory.records.filter(r => r.type === "reflection");
+  const st = a.memory.compactionStats;
+  const key = `${a.id}:${refs.at(-1)?.id}:${st.folded}:${st.evicted}`;
+  if (key === reflectionKey) return;
+  reflectionKey = key;
+
+  reflectionBox.replaceChildren();
+  if (!refs.length) {
+    reflectionBox.textContent = "(no reflections yet)";
+    return;
+  }
+  for (const r of refs.slice().reverse()) reflectionBox.appendChild(memoryNode(a.memory, r, new Set()));
+}
+
+function memoryNode(memory, rec, path) {
+  const label = `[${formatSimTime(rec.time).slice(11)}] ${memoryText(rec)}`;
+  if (!rec.evidenceIds.length || path.has(rec.id)) {
+    const leaf = document.createElement("div");
+    leaf.className = "refLeaf";
+    leaf.textContent = `${label} (${rec.type}, imp ${rec.importance})`;
+    return leaf;
+  }
+
+  const node = document.createElement("details");
+  node.open = openReflections.has(rec.id);
+  node.ontoggle = () => { if (node.open) openReflections.add(rec.id); else openReflections.delete(rec.id); };
+  const summary = document.createElement("summary");
+  summary.textContent = `${label} (${rec.evidenceIds.length} sources)`;
+  node.appendChild(summary);
+
+  const inner = new Set(path).add(rec.id);
+  for (const id of rec.evidenceIds) {
+    const ev = memory.get(id);
+    if (ev) {
+      node.appendChild(memoryNode(memory, ev, inner));
+    } else {
+      const leaf = document.createElement("div");
+      leaf.className = "refLeaf";
+      leaf.textContent = "(forgotten memory)";
+      node.appendChild(leaf);
+    }
+  }
+  return node;
+}
+
+function renderRelationships(a) {
+  if (!relationDetails.open) return;
+  renderRelationshipGraph(relationCtx, agents, a.id);
+  const rows = agents.filter(o => o !== a).map(o => {
+    const rel = a.relationships.get(o.name);
+    return `<tr><td>${escapeHTML(o.name)}</td><td>${Math.round(rel.familiarity)}</td><td>${Math.round(rel.affinity)}</td>`
+      + `<td>${rel.interactions}</td><td>${escapeHTML(rel.describe())}</td></tr>`;
+  }).join("");
+  relationBox.innerHTML = `<table class="tbl corrections"><tr><th>${escapeHTML(a.name)} →</th><th>familiarity</th><th>affinity</th>`
+    + `<th>talks</th><th></th></tr>${rows}</table>`;
+}
+
+// Q&A with the retrieved memories behind each answer. Rebuilt only when the turns change, so
+// expanded memory lists stay open while the sim runs.
+function renderInterview(a) {
+  if (!interviewDetails.open) return;
+  const turns = interviews.get(a.id)?.turns ?? [];
+  const key = `${a.id}:${turns.length}:${turns.at(-1)?.answer.length}:${turns.at(-1)?.pending}:${turns.filter(t => t.kept).length}`;
+  if (key === interviewKey) return;
+  interviewKey = key;
+
+  interviewLog.replaceChildren();
+  if (!turns.length) {
+    interviewLog.textContent = `(ask ${a.name} something)`;
+    return;
+  }
+  const first = a.name.split(" ")[0];
+  for (const t of turns) {
+    const q = document.createElement("div");
+    q.style.marginTop = "8px";
+    q.textContent = `[${formatSimTime(t.time).slice(11)}] Q: ${t.question}`;
+    const ans = document.createElement("div");
+    ans.className = "good";
+    ans.textContent = `${first}: ${t.answer || "…"}`;
+    interviewLog.append(q, ans);
+
+    const node = document.createElement("details");
+    node.open = openInterviewTurns.has(t);
+    node.ontoggle = () => { if (node.open) openInterviewTurns.add(t); else openInterviewTurns.delete(t); };
+    const summary = document.createElement("summary");
+    summary.textContent = `memories used (${t.memories.length})`;
+    node.appendChild(summary);
+    for (const s of t.memories) {
+      const leaf = document.createElement("div");
+      leaf.className = "refLeaf";
+      leaf.textContent = describeScored(s);
+      node.appendChild(leaf);
+    }
+    interviewLog.appendChild(node);
+
+    if (t.pending) continue;
+    const keep = document.createElement("button");
+    keep.className = "btn";
+    keep.style.cssText = "padding:2px 8px;font-size:11px;";
+    keep.textContent = t.kept ? "kept as memory" : "Keep as memory";
+    keep.disabled = t.kept;
+    keep.title = `Adds the question and answer to ${a.name}'s memory stream`;
+    keep.onclick = () => {
+      a.rememberInterview(t.question, t.answer, simTime);
+      t.kept = true;
+      renderSidePanel();
+    };
+    interviewLog.appendChild(keep);
+  }
+}
+
+async function askInterview() {
+  const a = agents.find(x => x.id === selectedAgentId) ?? agents[0];
+  const question = interviewInput.value.trim();
+  if (!llm || !a || !question || interviewController) return;
+  interviewInput.value = "";
+  if (!interviews.has(a.id)) interviews.set(a.id, new Interview(a));
+
+  const controller = new AbortController();
+  interviewController = controller;
+  try {
+    await interviews.get(a.id).ask(llm, question, simTime, {
+      signal: controller.signal,
+      onUpdate: () => scheduleSidePanelRender(a),
+    });
+  } catch (e) {
+    if (!isAbortError(e)) {
+      console.error(`${a.name}: interview failed`, e);
+      setStatus(`${a.name}: interview failed (${e.name ?? "error"})`, "bad");
+    }
+  } finally {
+    if (interviewController === controller) interviewController = null;
+  }
+  renderSidePanel();
+  renderTelemetry();
+}
+
+// Interventions (from the panel or the console, see window.sim) go through Agent.injectMemory,
+// one at a time. -> { record, revision }
+async function injectInto(a, opts) {
+  if (!world || !a) throw new Error("no simulation to intervene in");
+  if (opts.replan && !llm) throw new Error("re-planning needs a loaded model");
+  if (injectController) throw new Error("another intervention is still re-planning");
+
+  const controller = new AbortController();
+  injectController = controller;
+  try {
+    return await a.injectMemory(llm, world, simTime, { ...opts, signal: controller.signal });
+  } finally {
+    if (injectController === controller) injectController = null;
+    renderLog();
+    renderSidePanel();
+    renderTelemetry();
+  }
+}
+
+function readScoring() {
+  const num = (input, fallback) => {
+    const v = parseFloat(input.value);
+    return Number.isFinite(v) && v >= 0 ? v : fallback;
+  };
+  return {
+    mode: scoringSelect.value,
+    weights: {
+      relevance: num(weightInputs.relevance, 1),
+      recency: num(weightInputs.recency, 1),
+      importance: num(weightInputs.importance, 1),
+    },
+    decay: Math.min(1, num(decayInput, DEFAULT_SCORING.decay)),
+  };
+}
+
+// Applies the relevance/scoring/forgetting controls to every agent's memory stream.
+function applyRetrievalSettings() {
+  const scoring = readScoring();
+  const choice = relevanceSelect.value;
+  // TF-IDF needs no vectors, except to show the embedding side of the comparison.
+  const embedder = choice === "tfidf"
+    ? (compareToggle.checked ? embedders.hashed : null)
+    : embedders[choice];
+  for (const a of agents) {
+    if (a.memory.embedder !== embedder) a.memory.setEmbedder(embedder);
+    a.memory.relevance = choice === "tfidf" ? "tfidf" : "embedding";
+    a.memory.scoring = scoring;
+    a.memory.compaction = { ...DEFAULT_COMPACTION, mode: compactionSelect.value };
+    a.memory.dedupe = { ...DEFAULT_DEDUPE, threshold: Number(dedupeSelect.value) };
+    a.lastQueryVector = null; // computed with the previous embedder
+  }
+}
+
+// Streaming updates arrive per token; coalesce them into one render per frame.
+function scheduleSidePanelRender(agent) {
+  if (agent.id !== selectedAgentId || renderQueued) return;
+  renderQueued = true;
+  requestAnimationFrame(() => {
+    renderQueued = false;
+    renderSidePanel();
+  });
+}
+
+function jsonStatusHTML(a) {
+  const r = a.lastJSONResult;
+  const st = a.jsonStats;
+  const totals = `<span class="muted">(${st.valid} ok / ${st.repaired} repaired / ${st.fallback} fallback)</span>`;
+  if (!r) return `- ${totals}`;
+  const cls = { valid: "good", repaired: "warn", fallback: "bad" }[r.status];
+  const tries = r.attempts > 1 ? ` after ${r.attempts} tries` : "";
+  const why = r.errors.length ? ` title="${r.errors.join("\n").replace(/"/g, "&quot;")}"` : "";
+  return `<span class="${cls}"${why}>${r.status}${tries}</span> ${totals}`;
 }
 
 function renderLog() {
@@ -103,8 +491,136 @@ function renderLog() {
   logBox.innerHTML = items.map(it => {
     const t = formatSimTime(it.time);
     const place = it.place ? ` <span class="tag">${it.place}</span>` : "";
-    return `<div class="logItem"><span class="muted">[${t}]</span> ${it.text}${place}</div>`;
+    // interventions carry user-typed text
+    const text = it.kind === "intervention" ? `<span class="warn">${escapeHTML(it.text)}</span>` : it.text;
+    return `<div class="logItem"><span class="muted">[${t}]</span> ${text}${place}</div>`;
   }).join("");
+  renderConversations();
+  renderDiffusion();
+  renderCorrections();
+}
+
+function renderDiffusion() {
+  if (!diffusionDetails.open) return;
+  const topic = diffusionInput.value.trim();
+  const { origins, reached } = traceDiffusion(world.hearings, topic);
+  const knows = origins.length + reached.length;
+  diffusionStatus.textContent = topic ? `${knows} of ${agents.length} agents know` : "";
+  if (!knows) {
+    diffusionBox.textContent = topic ? `(nobody has mentioned "${topic}" yet)` : "";
+    return;
+  }
+  const rows = [
+    ...origins.map(o => `<tr><td>${formatSimTime(o.time).slice(11)}</td><td>${escapeHTML(o.name)}</td><td>0</td><td colspan="2" class="muted">brought it up</td></tr>`),
+    ...reached.map(r => `<tr><td>${formatSimTime(r.time).slice(11)}</td><td>${escapeHTML(r.name)}</td><td>${r.hops}</td>`
+      + `<td>${escapeHTML(r.from)} @ ${escapeHTML(r.place)}</td><td>${escapeHTML(r.text)}</td></tr>`),
+  ].join("");
+  diffusionBox.innerHTML = `<table class="tbl corrections"><tr><th>time</th><th>agent</th><th>hops</th><th>heard from</th><th>line</th></tr>${rows}</table>`;
+}
+
+function renderConversations() {
+  const convs = world.conversations;
+  if (convs.length === conversationCount) return;
+  conversationCount = convs.length;
+  conversationBox.innerHTML = "";
+  if (!convs.length) {
+    conversationBox.textContent = "(no conversations yet)";
+    return;
+  }
+  for (const c of convs.slice(-30).reverse()) {
+    const node = document.createElement("details");
+    node.open = openConversations.has(c.id);
+    node.ontoggle = () => { if (node.open) openConversations.add(c.id); else openConversations.delete(c.id); };
+    const summary = document.createElement("summary");
+    const ended = c.endedBy ? `ended by ${c.endedBy.split(" ")[0]}` : "turn limit";
+    summary.textContent = `[${formatSimTime(c.startedAt).slice(11)}] ${c.participants.join(" & ")} @ ${c.placeName}`
+      + ` (${c.turns.length} lines, ${ended})`;
+    node.appendChild(summary);
+    for (const t of c.turns) {
+      const line = document.createElement("div");
+      line.className = "refLeaf";
+      line.textContent = `${t.speaker}: ${t.text}`;
+      node.appendChild(line);
+    }
+    for (const name of c.participants) {
+      const s = c.summaries[name];
+      const line = document.createElement("div");
+      line.className = "refLeaf muted";
+      line.textContent = `${name} remembers: ${s.summary} (imp ${s.importance})`;
+      node.appendChild(line);
+    }
+    conversationBox.appendChild(node);
+  }
+}
+
+function renderCorrections() {
+  const log = world.corrections;
+  if (!log.total) {
+    correctionBox.textContent = "(no corrections yet)";
+    return;
+  }
+  const counts = Object.entries(log.counts).sort((a, b) => b[1] - a[1])
+    .map(([kind, n]) => `<span class="tag">${kind} ${n}</span>`).join("");
+  const rows = log.entries.slice(-40).reverse().map(c => `<tr><td>${formatSimTime(c.time).slice(11)}</td>`
+    + `<td>${escapeHTML(c.agent)}</td><td>${c.kind}</td><td>${escapeHTML(c.from)} → ${escapeHTML(c.to)}</td></tr>`).join("");
+  correctionBox.innerHTML = `<div style="margin-bottom:6px;">${log.total} total ${counts}</div>`
+    + `<table class="tbl corrections"><tr><th>time</th><th>agent</th><th>kind</th><th>from → to</th></tr>${rows}</table>`;
+}
+
+function telemetryTable(title, rows) {
+  const fmt = (n) => Math.round(n).toLocaleString();
+  const head = `<tr><th>${title}</th><th>calls</th><th>cached</th><th>avg ms</th><th>prompt tok</th><th>compl. tok</th><th>JSON fail</th></tr>`;
+  const body = rows.map(([label, t]) => `<tr><td>${label}</td><td>${t.calls}</td><td>${t.cached}</td><td>${fmt(t.latencyMs / (t.calls || 1))}</td>`
+    + `<td>${fmt(t.promptTokens)}</td><td>${fmt(t.completionTokens)}</td><td>${t.jsonFailed}</td></tr>`).join("");
+  return `<table class="tbl">${head}${body}</table>`;
+}
+
+function renderCacheStat() {
+  const c = responseCache;
+  if (c.mode === "off") {
+    cacheStatEl.textContent = "";
+    return;
+  }
+  const last = c.last ? ` <span class="${c.last === "hit" ? "good" : "warn"}">${c.last}</span>` : "";
+  cacheStatEl.innerHTML = `· cache${c.mode === "bypass" ? " (bypass)" : ""}${last} ${c.hits}/${c.hits + c.misses}`;
+}
+
+function renderTelemetry() {
+  renderCacheStat();
+  if (!llm) {
+    telemetryBox.textContent = "(no model loaded)";
+    return;
+  }
+  const tel = llm.telemetry;
+  const nameOf = (id) => agents.find(a => a.id === id)?.name ?? id;
+  const estimated = tel.entries.some(e => e.estimated)
+    ? `<div class="muted">Some token counts are estimated (backend reported no usage).</div>` : "";
+
+  const perMode = [...tel.perTickByMode()].map(([mode, m]) =>
+    `<div><span class="tag">${mode}</span> ${m.ticks} ticks · ${m.calls.toFixed(1)} calls/tick · `
+    + `${Math.round(m.tokens).toLocaleString()} tokens/tick · ${(m.latencyMs / 1000).toFixed(1)} s/tick</div>`).join("");
+
+  const byTick = [...tel.groupBy("tick")].sort((a, b) => b[0] - a[0]).slice(0, 8)
+    .map(([tick, t]) => [tick === 0 ? "init" : `#${tick}`, t]);
+
+  // Skipped steps: an agent that's busy or asleep saves at least its action call.
+  let skipped = 0;
+  for (const s of tel.skips.values()) skipped += s.busy + s.asleep;
+  const last = tel.skips.get(tel.tick);
+  const skips = tel.skips.size
+    ? `<div style="margin-bottom:8px;">LLM calls saved (skipped decisions): last tick ${last ? last.busy + last.asleep : 0}/${agents.length}`
+      + (last ? ` <span class="muted">(${last.busy} busy, ${last.asleep} asleep)</span>` : "")
+      + ` · ${(skipped / tel.skips.size).toFixed(1)}/tick · ${skipped} total</div>`
+    : "";
+
+  telemetryBox.innerHTML =
+    telemetryTable("total", [["all", tel.totals()]])
+    + (perMode ? `<div style="margin-bottom:8px;">${perMode}</div>` : "")
+    + skips
+    + telemetryTable("prompt kind", [...tel.groupBy("kind")])
+    + telemetryTable("agent", [...tel.groupBy("agent")].map(([id, t]) => [nameOf(id), t]))
+    + telemetryTable("tick (latest)", byTick)
+    + estimated;
 }
 
 function renderWorld() {
@@ -147,14 +663,23 @@ function populateModelList() {
   modelSelect.value = pickDefaultModel(list);
 }
 
+function updateBackendControls() {
+  const remote = backendSelect.value === "openai";
+  el("endpointChip").classList.toggle("hidden", !remote);
+  el("remoteModelChip").classList.toggle("hidden", !remote);
+
+  const offline = backendSelect.value === "scripted" || backendSelect.value === "replay";
+  el("webllmModelChip").classList.toggle("hidden", remote || offline);
+  el("fixtureChip").classList.toggle("hidden", !offline);
+  el("fixtureLabel").textContent = backendSelect.value === "replay" ? "Cassette:" : "Rules (optional):";
+}
+
 // --------------------------- Lifecycle ---------------------------
 
-async function loadModel() {
+async function createWebLLMProvider() {
   const selectedModel = modelSelect.value;
   setStatus("loading… (download + compile)", "warn");
 
-  btnLoad.disabled = true;
-
   const initProgressCallback = (p) => {
     // p: { progress, text, timeElapsed, ... }
     // show readable text when available.
@@ -162,10 +687,68 @@ async function loadModel() {
     else if (typeof p?.progress === "number") setStatus(`loading… ${(p.progress*100).toFixed(1)}%`, "warn");
   };
 
+  const engine = await webllm.CreateMLCEngine(selectedModel, { initProgressCallback });
+  return new WebLLMProvider(engine, { modelId: selectedModel });
+}
+
+async function createOpenAIProvider() {
+  setStatus("connecting…", "warn");
+  const provider = new OpenAICompatibleProvider({
+    baseURL: endpointInput.value.trim(),
+    model: remoteModelInput.value.trim(),
+    jsonMode: jsonModeSelect.value,
+  });
+
+  // Best-effort: not every server exposes GET /models. Without the list, the typed model id (or
+  // the server's default model) is used and connection problems show up on the first call.
+  const models = await provider.listModels().catch((e) => {
+    console.warn("model list unavailable, using the model id as typed:", e);
+    return [];
+  });
+  if (!provider.modelId && models.length) {
+    provider.modelId = models[0];
+    remoteModelInput.value = models[0];
+  }
+  return provider;
+}
+
+async function readFixtureFile() {
+  const file = fixtureFile.files?.[0];
+  if (!file) return null;
+  return JSON.parse(await file.text());
+}
+
+async function createScriptedProvider() {
+  const fixtures = await readFixtureFile();
+  return new ScriptedProvider({ fixtures });
+}
+
+async function createReplayProvider() {
+  const obj = await readFixtureFile();
+  if (!obj) throw new Error("Choose a cassette file to replay");
+  // Misses fall back to the scripted backend so a partial cassette still runs.
+  return new ReplayProvider(Cassette.fromJSON(obj), { fallback: new ScriptedProvider() });
+}
+
+async function createProvider() {
+  switch (backendSelect.value) {
+    case "openai": return createOpenAIProvider();
+    case "scripted": return createScriptedProvider();
+    case "replay": return createReplayProvider();
+    default: return createWebLLMProvider();
+  }
+}
+
+async function loadModel() {
+  btnLoad.disabled = true;
+
   try {
-    engine = await webllm.CreateMLCEngine(selectedModel, { initProgressCallback });
-    llm = new LLMClient(engine);
-    setStatus(`loaded: ${selectedModel}`, "good");
+    let provider = await createProvider();
+    if (recordToggle.checked) provider = new RecordingProvider(provider);
+    btnCassette.disabled = !recordToggle.checked;
+    llm = new LLMClient(provider, { repairAttempts: Number(repairSelect.value), cache: responseCache });
+    llm.queue.onChange(renderQueueStat);
+    setStatus(`loaded: ${provider.name} / ${provider.modelId || "default"}`, "good");
 
     btnReset.disabled = false;
     btnStep.disabled = false;
@@ -173,23 +756,48 @@ async function loadModel() {
     btnPause.disabled = false;
   } catch (e) {
     console.error(e);
-    setStatus("load failed (check WebGPU support, console)", "bad");
+    const hint = {
+      openai: "check endpoint / CORS, console",
+      scripted: "check rules file, console",
+      replay: "check cassette file, console",
+    }[backendSelect.value] ?? "check WebGPU support, console";
+    setStatus(`load failed (${hint})`, "bad");
     btnLoad.disabled = false;
     return;
   }
 
-  await resetSim();
-  btnLoad.disabled = false;
+  try {
+    await resetSim();
+  } catch (e) {
+    console.error(e);
+    setStatus("reset failed (console)", "bad");
+  } finally {
+    btnLoad.disabled = false;
+  }
 }
 
 async function resetSim() {
   running = false;
+  tickController?.abort();
+  // and whatever else the old simulation still has waiting in the queue
+  llm?.queue.cancelPending("reset");
 
   // Feb 13, 2023 is used in the original paper demo; we keep it for familiarity.
   simTime = new Date("2023-02-13T08:00:00");
 
+  // Replays start from the top of the cassette on every reset.
+  llm?.provider?.rewind?.();
+  renderReplayStat();
+
   world = new World({ width: 32, height: 32 });
   agents = makeAgents(world);
+  applyRetrievalSettings();
+  conversationCount = -1;
+  openConversations.clear();
+  interviewController?.abort();
+  interviews.clear();
+  injectController?.abort();
+  interviewKey = "";
 
   selectedAgentId = agents[0]?.id ?? null;
 
@@ -203,51 +811,124 @@ async function resetSim() {
   if (llm) {
     setStatus("initializing agents… (daily plans)", "warn");
     const mode = modeSelect.value;
-    for (const a of agents) {
-      await a.initialize(llm, world, simTime, { mode });
-      renderWorld();
-      renderSidePanel();
+    llm.telemetry.tick = 0;
+    llm.telemetry.mode = mode;
+
+    // Cancellable like a tick, so a second Reset doesn't wait for this one.
+    const controller = new AbortController();
+    tickController = controller;
+    const myWorld = world;
+    let failed = 0;
+    let done = 0;
+    try {
+      for (const a of agents) {
+        try {
+          await a.initialize(llm, world, simTime, { mode, signal: controller.signal });
+        } catch (e) {
+          if (isAbortError(e)) throw e;
+          // e.g. a request timeout: the agent starts without a plan, the others still get one
+          console.error(`${a.name}: initialization failed`, e);
+          failed += 1;
+        }
+        done += 1;
+        renderWorld();
+        renderSidePanel();
+        renderTelemetry();
+        renderReplayStat();
+      }
+    } catch (e) {
+      if (!isAbortError(e)) throw e;
+      // Pause (a second Reset reports for itself)
+      if (world === myWorld) setStatus(`initialization interrupted (${done}/${agents.length} agents initialized)`, "muted");
+      return;
+    } finally {
+      if (tickController === controller) tickController = null;
     }
-    setStatus("ready", "good");
+    if (world !== myWorld) return;
+    if (failed) setStatus(`ready, but ${failed} agent(s) got no plan yet (LLM call failed, console)`, "warn");
+    else setStatus("ready", "good");
   }
 }
 
+// Returns true if the tick completed, false if it was interrupted (or nothing to do).
 async function tickOnce() {
-  if (!world || !agents.length || !llm) return;
+  if (!world || !agents.length || !llm) return false;
 
   const mode = modeSelect.value;
 
   // Advance time
   simTime = new Date(simTime.getTime() + MINUTES_PER_TICK * 60 * 1000);
   simTimeEl.textContent = formatSimTime(simTime);
+  world.updateObjects(simTime);
+
+  tickCount += 1;
+  llm.telemetry.tick = tickCount;
+  llm.telemetry.mode = mode;
+
+  const controller = new AbortController();
+  tickController = controller;
 
   // One tick: each agent moves/acts sequentially (single shared model).
-  for (const a of agents) {
-    await a.step(llm, world, agents, simTime, { mode });
-    renderWorld();
-    renderLog();
+  // Agent.step commits an agent's decision only once its LLM calls are done, so aborting the tick
+  // (Pause / Reset) drops a pending decision whole. What a step does before deciding (e.g. walking
+  // on) stays done, and the upkeep after it (e.g. a reflection) may be cut short.
+  let done = 0;
+  try {
+    for (const a of agents) {
+      try {
+        await a.step(llm, world, agents, simTime, {
+          mode,
+          signal: controller.signal,
+          onUpdate: scheduleSidePanelRender,
+        });
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+        // e.g. a request timeout: skip this agent's turn, keep the simulation going
+        console.error(`${a.name}: step failed`, e);
+        setStatus(`${a.name}: LLM call failed (${e.name ?? "error"}), skipped`, "bad");
+      }
+      done += 1;
+      renderWorld();
+      renderLog();
+      renderSidePanel();
+      renderTelemetry();
+      renderReplayStat();
+      // Let UI breathe a little.
+      await sleep(0);
+    }
+  } catch (e) {
+    if (!isAbortError(e)) throw e;
+    // The remaining agents simply skip this tick.
+    if (world) setStatus(`tick interrupted (${done}/${agents.length} agents stepped)`, "muted");
     renderSidePanel();
-    // Let UI breathe a little.
-    await sleep(0);
+    return false;
+  } finally {
+    if (tickController === controller) tickController = null;
   }
 
   world.cleanupOldChat(simTime);
   renderWorld();
   renderLog();
   renderSidePanel();
+  return true;
 }
 
 async function runLoop() {
   setStatus("running…", "good");
 
+  let interrupted = false;
   while (running) {
-    await tickOnce();
+    if (!(await tickOnce())) {
+      interrupted = true; // tickOnce already reported why
+      break;
+    }
     // Speed: x1..x6 controls real-time delay between ticks.
     // (Not a perfect mapping; local inference cost dominates.)
     const delayMs = 900 / Number(speedEl.value);
     await sleep(delayMs);
   }
-  setStatus("paused", "muted");
+  running = false;
+  if (!interrupted) setStatus("paused", "muted");
 }
 
 // --------------------------- Event handlers ---------------------------
@@ -257,15 +938,18 @@ btnLoad.onclick = loadModel;
 btnReset.onclick = async () => {
   if (!llm) return;
   setStatus("resetting…", "warn");
-  await resetSim();
-  setStatus("ready", "good");
+  try {
+    await resetSim();
+  } catch (e) {
+    console.error(e);
+    setStatus("reset failed (console)", "bad");
+  }
 };
 
 btnStep.onclick = async () => {
-  if (!llm) return;
+  if (!llm || tickController) return;
   setStatus("stepping…", "warn");
-  await tickOnce();
-  setStatus("ready", "good");
+  if (await tickOnce()) setStatus("ready", "good");
 };
 
 btnRun.onclick = async () => {
@@ -276,15 +960,105 @@ btnRun.onclick = async () => {
 };
 
 btnPause.onclick = () => {
+  // Stop right away: cancel the in-flight and queued calls of the current tick.
   running = false;
+  tickController?.abort();
+};
+
+btnTelemetryClear.onclick = (e) => {
+  e.preventDefault(); // don't toggle the <details>
+  llm?.telemetry.reset();
+  renderTelemetry();
 };
 
+diffusionInput.oninput = () => { if (world) renderDiffusion(); };
+relationDetails.ontoggle = () => renderSidePanel();
+interviewDetails.ontoggle = () => renderSidePanel();
+btnInterviewAsk.onclick = askInterview;
+interviewInput.onkeydown = (e) => { if (e.key === "Enter") askInterview(); };
+btnInject.onclick = async () => {
+  const a = agents.find(x => x.id === selectedAgentId) ?? agents[0];
+  const text = injectText.value.trim();
+  if (!a || !text || injectController) return;
+  const replan = injectReplan.checked;
+  injectStatus.textContent = replan ? "re-planning…" : "injecting…"; // waits for a step in progress
+  try {
+    const { revision } = await injectInto(a, { text, type: injectType.value, importance: Number(injectImportance.value), replan });
+    injectText.value = "";
+    injectStatus.textContent = `injected into ${a.name}` + (replan ? (revision ? ", plan revised" : ", plan unchanged") : "");
+  } catch (e) {
+    if (isAbortError(e)) {
+      injectStatus.textContent = "cancelled";
+      return;
+    }
+    console.error(e);
+    injectStatus.textContent = `failed: ${e.message}`;
+  }
+};
+btnInterviewClear.onclick = () => {
+  interviews.get(selectedAgentId)?.clear();
+  renderSidePanel();
+};
+diffusionDetails.ontoggle = () => { if (world) renderDiffusion(); };
+
+cacheSelect.onchange = () => {
+  responseCache.mode = cacheSelect.value;
+  renderCacheStat();
+};
+
+btnCacheClear.onclick = async (e) => {
+  e.preventDefault(); // the button sits inside a <label>
+  try {
+    await responseCache.clear();
+    setStatus("cache cleared", "muted");
+  } catch (err) {
+    console.error(err);
+    setStatus("cache clear failed (console)", "bad");
+  }
+  renderCacheStat();
+};
+
+btnCassette.onclick = () => {
+  const cassette = llm?.provider?.cassette;
+  if (!cassette) return;
+  downloadJSON(`cassette-${Date.now()}.json`, cassette.toJSON());
+};
+
+backendSelect.onchange = () => updateBackendControls();
 speedEl.oninput = () => updateSpeedLabel();
+relevanceSelect.onchange = compareToggle.onchange = scoringSelect.onchange = decayInput.onchange = compactionSelect.onchange = dedupeSelect.onchange = () => {
+  applyRetrievalSettings();
+  renderSidePanel();
+};
+for (const input of Object.values(weightInputs)) {
+  input.onchange = () => {
+    applyRetrievalSettings();
+    renderSidePanel();
+  };
+}
+repairSelect.onchange = () => {
+  if (llm) llm.repairAttempts = Number(repairSelect.value);
+};
 modeSelect.onchange = () => {
   // Reset is not required; mode impacts next prompts.
   renderSidePanel();
 };
 
+// Console handle for lecture experiments, e.g.
+//   await sim.inject("Sam Moore", { text: "You want to invite Isabella to your campaign event", importance: 8, replan: true })
+window.sim = {
+  get world() { return world; },
+  get agents() { return agents; },
+  get time() { return simTime; },
+  agent: (name) => agents.find(a => a.name === name || a.id === name) ?? null,
+  inject(name, opts) {
+    const a = this.agent(name);
+    return a ? injectInto(a, opts) : Promise.reject(new Error(`no agent named "${name}"`));
+  },
+};
+
 updateSpeedLabel();
+updateBackendControls();
+renderTelemetry();
 populateModelList();
 setStatus("choose model → Load", "muted");
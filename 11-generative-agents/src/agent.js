@@ -2,23 +2,52 @@
 // Each agent has:
 // - persona (bio, traits, goals)
 // - memory stream with (text, time, importance, type)
-// - daily plan (JSON schedule)
+// - daily plan (JSON schedule), decomposed on demand into hourly chunks and 5-15 minute actions,
+//   and revised when an observation calls for a reaction
 // - step() that perceives world, retrieves memories, calls LLM to decide action,
 //   and appends new memories.
 //
 // Notes:
 // - This is a *mini educational* replication, not a full Smallville.
-// - Relevance is TF-IDF, not embeddings.
+// - Relevance is TF-IDF by default; embedding relevance is optional (see embedding.js).
 // - We keep prompts short to fit small local models.
 
-import { MemoryStream, MemoryRecord } from "./memory.js";
-import { ACTION_SCHEMA, PLAN_SCHEMA, REFLECTION_SCHEMA,
-         buildDailyPlanPrompt, buildActionPrompt, buildImportancePrompt, buildReflectionPrompt } from "./prompts.js";
-import { clamp, dist, formatSimTime } from "./util.js";
+import { INJECTABLE_TYPES, MemoryStream, MemoryRecord, describeScored } from "./memory.js";
+import { ACTION_SCHEMA, PLAN_SCHEMA, DECOMPOSE_SCHEMA, REACTION_SCHEMA, FOCAL_SCHEMA, REFLECTION_SCHEMA, DIGEST_SCHEMA,
+         DIARY_SCHEMA, buildDailyPlanPrompt, buildDecomposePrompt, buildReactionPrompt, buildActionPrompt,
+         buildImportancePrompt, buildFocalQuestionsPrompt, buildReflectionPrompt, buildDigestPrompt,
+         buildDiaryPrompt } from "./prompts.js";
+import { matchObject, matchPerson, matchPlace, normalizeBlocks, normalizePlan } from "./normalize.js";
+import { canConverse, runConversation } from "./conversation.js";
+import { Needs, inSleepWindow, isMealActivity, parseSleepWindow } from "./needs.js";
+import { RELATIONSHIP_RATES, Relationships } from "./relationships.js";
+import { clamp, dist, formatSimTime, partialJSONString, toMinutes, uniq } from "./util.js";
 
 let _idCounter = 0;
 function nextId(prefix = "m") { _idCounter += 1; return `${prefix}_${_idCounter}`; }
 
+// Plan decomposition: the block in progress is split into chunks of at most this many minutes,
+// then the chunk in progress again (paper: day plan -> hourly chunks -> 5-15 minute actions).
+const DECOMPOSE_LEVELS = [60, 15];
+
+// Overheard lines are remembered without an importance call (that would be one LLM call per line
+// per listener); lines addressed to the listener matter a bit more. They don't count towards the
+// reflection threshold: a conversation would set off a reflection in everyone around (the
+// participants' conversation summaries count instead).
+const HEARD_IMPORTANCE = 3;
+const ADDRESSED_IMPORTANCE = 5;
+// An interview answer the user chose to keep (see interview.js).
+const INTERVIEW_IMPORTANCE = 4;
+
+// The diary prompt sees at most this many of the day's memories (the most important ones).
+const DIARY_MEMORIES = 20;
+
+const chatKey = (c) => `${c.time.getTime()}|${c.speaker}|${c.text}`;
+const clockTime = (date) => formatSimTime(date).slice(11); // "HH:MM"
+const dateOf = (date) => formatSimTime(date).slice(0, 10); // "YYYY-MM-DD"
+const blockLine = (b) => `${b.start}-${b.end} @${b.location}: ${b.activity}`;
+const covers = (b, hhmm) => b.start <= hhmm && hhmm < b.end;
+
 export class Agent {
   constructor({
     id,
@@ -56,18 +85,36 @@ export class Agent {
     this.dest = null; // {x,y, placeId, placeName}
     this.speed = 1.3; // cells per tick
 
-    this.energy = 100;
+    this.needs = new Needs();
+    this.sleepWindow = parseSleepWindow(persona); // { bed, wake } "HH:MM", from the persona's lifestyle line
+    this.asleep = false;
     this.tickMinutes = 10;
 
     this.memory = new MemoryStream();
-    this.dailyPlan = null; // {date, blocks:[]}
+    this.dailyPlan = null; // {date, blocks:[]}; a block's `children` hold its decomposition
+    this.planRevisions = []; // {time, reason, before:[lines], after:[lines]} from reactions (today's)
+    this.diaries = []; // {date, diary, commitments} for each finished day
+    this._seenChat = new Set(); // chat lines / nearby people already considered for a reaction
+    this._seenOthers = new Set();
+    this.lastConversationWith = new Map(); // name -> Date of the last conversation session
+    this._turn = Promise.resolve(); // settles when the running step / intervention is done (see _exclusive)
+    this.relationships = new Relationships(); // seeded by makeAgents, updated by interactions
     this.summary = ""; // updated by reflection
     this.importanceSinceReflection = 0;
 
     this.currentAction = "idle";
+    this.lastAction = null; // "move" | "interact" | "use" | "stay" of the last decision
+    this.busyUntil = null; // Date: no new decision before this (see _shouldDecide)
+    this.lastStep = null; // "decided" | "busy" | "asleep": what the last step did
     this.lastThought = "";
+    this.lastUtterance = "";
     this.lastRetrievedMemoriesText = "";
+    this.lastRetrievalQuery = ""; // kept so the UI can re-run it with other relevance settings
+    this.lastQueryVector = null;
     this.lastPromptText = "";
+    this.lastResponseText = ""; // raw (possibly still streaming) model output for the action prompt
+    this.lastJSONResult = null; // {status, attempts, errors} of the last action call
+    this.jsonStats = { valid: 0, repaired: 0, fallback: 0 }; // over all of this agent's JSON calls
   }
 
   seedInitialMemories(now) {
@@ -109,36 +156,237 @@ export class Agent {
     }
   }
 
+  // Whole plan, decomposed entries indented under their block.
   dailyPlanText() {
     if (!this.dailyPlan?.blocks?.length) return "";
-    return this.dailyPlan.blocks.map(b => `${b.start}-${b.end} @${b.location}: ${b.activity}`).join("\n");
+    const lines = [];
+    const walk = (entries, depth) => {
+      for (const b of entries) {
+        lines.push(depth ? `${"  ".repeat(depth)}${b.start}-${b.end}: ${b.activity}` : blockLine(b));
+        if (b.children) walk(b.children, depth + 1);
+      }
+    };
+    walk(this.dailyPlan.blocks, 0);
+    return lines.join("\n");
   }
 
-  planSnippetFor(now) {
-    if (!this.dailyPlan?.blocks?.length) return "(no plan)";
-    const hhmm = String(now.getHours()).padStart(2,"0") + ":" + String(now.getMinutes()).padStart(2,"0");
-    const upcoming = this.dailyPlan.blocks.filter(b => b.end >= hhmm).slice(0, 3);
+  // plan: defaults to this.dailyPlan (Agent.step passes a tentative revision).
+  planSnippetFor(now, plan = this.dailyPlan) {
+    if (!plan?.blocks?.length) return "(no plan)";
+    if (plan.date !== dateOf(now)) return "(no plan for today yet)";
+    const hhmm = clockTime(now);
+    const upcoming = plan.blocks.filter(b => b.end > hhmm).slice(0, 3);
     if (!upcoming.length) return "(no remaining plan blocks)";
-    return upcoming.map(b => `${b.start}-${b.end} @${b.location}: ${b.activity}`).join("\n");
+    const lines = [];
+    for (const b of upcoming) {
+      lines.push(blockLine(b));
+      // the decomposition of the block in progress, down to the current step
+      let node = b;
+      let depth = 1;
+      while ((node = node.children?.find(c => covers(c, hhmm)))) {
+        lines.push(`${"  ".repeat(depth++)}${node.start}-${node.end}: ${node.activity}`);
+      }
+    }
+    return lines.join("\n");
+  }
+
+  // The most detailed plan entry in progress ("" if the plan doesn't cover now).
+  currentActivity(now, plan = this.dailyPlan) {
+    if (plan?.date !== dateOf(now)) return "";
+    const hhmm = clockTime(now);
+    let node = plan.blocks.find(b => covers(b, hhmm));
+    let activity = node?.activity ?? "";
+    while ((node = node?.children?.find(c => covers(c, hhmm)))) activity = node.activity;
+    return activity;
+  }
+
+  // Decomposes the plan entry in progress, level by level (see DECOMPOSE_LEVELS). Each entry
+  // is decomposed at most once, when it is first reached.
+  // -> the plan with the new steps, not applied yet (Agent.step commits it): the entries on the
+  //    path to now are copies. `plan` itself if nothing needed decomposing.
+  async decomposeCurrent(llm, world, now, { signal = null, plan = this.dailyPlan } = {}) {
+    if (!plan) return plan;
+    const hhmm = clockTime(now);
+    const staged = { ...plan, blocks: plan.blocks.slice() };
+    const enter = (list) => {
+      const i = list.findIndex(b => covers(b, hhmm));
+      if (i < 0) return null;
+      list[i] = { ...list[i], children: list[i].children?.slice() };
+      return list[i];
+    };
+    let changed = false;
+    let node = enter(staged.blocks);
+    const path = node ? [node] : [];
+    for (const maxMinutes of DECOMPOSE_LEVELS) {
+      if (!node) break;
+      if (toMinutes(node.end) - toMinutes(node.start) <= maxMinutes) continue;
+      if (!node.children) {
+        const obj = this._countJSON(await llm.chatJSON({
+          messages: buildDecomposePrompt(this, now, node, maxMinutes, path),
+          schemaObj: DECOMPOSE_SCHEMA, temperature: 0.35, max_tokens: 384, signal,
+          meta: { kind: "plan", agent: this.id },
+        }));
+        // steps must fit inside their entry; [] = leave the entry as is, don't retry
+        node.children = obj
+          ? normalizeBlocks(obj.steps, { range: node, ctx: this._fixCtx(world, now) }).map(s => ({ ...s, location: node.location }))
+          : [];
+        changed = true;
+      }
+      node = enter(node.children);
+      if (node) path.push(node);
+    }
+    return changed ? staged : plan;
   }
 
-  async initialize(llm, world, now, { mode = "fast" } = {}) {
+  // Chat lines from others and newly arrived people: what a "should I react?" check looks at.
+  _newObservations(perception) {
+    const chatKeys = new Set();
+    const others = new Set(perception.others.map(o => o.name));
+    const lines = [];
+    for (const c of perception.chat) {
+      const key = chatKey(c);
+      chatKeys.add(key);
+      if (c.speaker !== this.name && !this._seenChat.has(key)) lines.push(`${c.speaker} says: "${c.text}"`);
+    }
+    for (const o of perception.others) {
+      if (!this._seenOthers.has(o.name)) lines.push(`${o.name} is here (${o.action}).`);
+    }
+    return { lines, chatKeys, others };
+  }
+
+  // Asks whether the observations call for changing the rest of `plan` (force: they do).
+  // -> { plan, reason, before, after } (not applied yet) or null.
+  async _considerReaction(llm, world, now, observations, { signal = null, force = false, plan = this.dailyPlan } = {}) {
+    const hhmm = clockTime(now);
+    const remaining = plan.blocks.filter(b => b.end > hhmm);
+    const obj = this._countJSON(await llm.chatJSON({
+      messages: buildReactionPrompt(this, world, now, observations.join("\n"), remaining.map(blockLine).join("\n"), { force }),
+      schemaObj: REACTION_SCHEMA, temperature: 0.35, max_tokens: 512, signal,
+      meta: { kind: "reaction", agent: this.id },
+    }));
+    if (!obj?.react) return null;
+
+    const added = normalizeBlocks(obj.new_blocks, {
+      places: world.places, defaultLocation: this.home, range: { start: hhmm, end: "23:59" }, ctx: this._fixCtx(world, now),
+    });
+    if (!added.length) return null;
+
+    // Keep what is done; the block in progress ends now.
+    const kept = plan.blocks
+      .filter(b => b.start < hhmm)
+      .map(b => {
+        if (b.end <= hhmm) return b;
+        const { children, ...rest } = b;
+        return { ...rest, end: hhmm };
+      });
+    return {
+      plan: { ...plan, blocks: [...kept, ...added] },
+      reason: obj.reason,
+      before: remaining.map(blockLine),
+      after: added.map(blockLine),
+    };
+  }
+
+  async initialize(llm, world, now, { mode = "fast", signal = null } = {}) {
     this.seedInitialMemories(now);
-    await this.makeDailyPlan(llm, world, now);
+    await this.makeDailyPlan(llm, world, now, { signal });
+    const home = this._homePlace(world);
+    if (home && inSleepWindow(this.sleepWindow, clockTime(now))) {
+      // e.g. a late riser when the simulation starts at 8am
+      this.x = home.x;
+      this.y = home.y;
+      this.asleep = true;
+      this.currentAction = "sleeping";
+      world.logEvent(now, `${this.name} is still asleep at home.`, home.id);
+      return;
+    }
     world.logEvent(now, `${this.name} wakes up and starts the day.`, world.placeAt(this.x, this.y)?.id ?? null);
   }
 
-  async makeDailyPlan(llm, world, now) {
-    const messages = buildDailyPlanPrompt(this, world, now);
-    const obj = await llm.chatJSON({ messages, schemaObj: PLAN_SCHEMA, temperature: 0.35, max_tokens: 512 });
+  _homePlace(world) {
+    return world.places.find(p => p.name === this.home) ?? null;
+  }
 
-    if (obj && Array.isArray(obj.blocks)) {
-      this.dailyPlan = obj;
-      return;
+  // Bedtime: walk home, then sleep until the window ends. No LLM calls meanwhile.
+  // -> true if the step is handled (asleep or on the way to bed).
+  _sleepStep(world, now) {
+    const home = this._homePlace(world);
+    if (!inSleepWindow(this.sleepWindow, clockTime(now)) || !home) {
+      if (this.asleep) {
+        this.asleep = false;
+        this.currentAction = "idle";
+        world.logEvent(now, `${this.name} wakes up.`, home?.id ?? null);
+      }
+      return false;
+    }
+
+    if (!this.asleep && world.placeAt(this.x, this.y)?.id !== home.id) {
+      if (this.dest?.placeId !== home.id) {
+        this.dest = { x: home.x, y: home.y, placeId: home.id, placeName: home.name };
+        world.logEvent(now, `${this.name} heads home to sleep.`, home.id);
+      }
+      this._moveTowardsDest();
+      this.currentAction = "heading home to sleep";
+      this.needs.update(this.tickMinutes);
+      return true;
+    }
+
+    if (!this.asleep) {
+      this.asleep = true;
+      this.dest = null;
+      this.busyUntil = null;
+      this.currentAction = "sleeping";
+      world.logEvent(now, `${this.name} goes to sleep.`, home.id);
+    }
+    this.needs.update(this.tickMinutes, { asleep: true });
+    return true;
+  }
+
+  // Needs over the tick that just passed, from what the agent ended up doing. A hungry agent
+  // staying where food is served eats there; so does one whose plan says it's mealtime.
+  _updateNeeds(now, perception, action) {
+    const eating = !this.dest
+      && (isMealActivity(this.currentActivity(now)) || (this.needs.hungry && !!perception.place?.food && action === "stay"));
+    this.needs.update(this.tickMinutes, {
+      eating,
+      talking: this.currentAction.startsWith("talking to"),
+      company: perception.others.length > 0,
+    });
+  }
+
+  // Where normalize.js reports its corrections.
+  _fixCtx(world, now) {
+    return { log: world.corrections, time: now, agent: this.name };
+  }
+
+  _countJSON(result) {
+    this.jsonStats[result.status] += 1;
+    return result.value;
+  }
+
+  async makeDailyPlan(llm, world, now, { signal = null } = {}) {
+    this.dailyPlan = await this._draftDailyPlan(llm, world, now, { signal });
+  }
+
+  // -> today's plan (not applied yet); yesterday: see buildDailyPlanPrompt.
+  async _draftDailyPlan(llm, world, now, { signal = null, yesterday = null } = {}) {
+    const date = dateOf(now);
+    const messages = buildDailyPlanPrompt(this, world, now, yesterday);
+    const obj = this._countJSON(await llm.chatJSON({
+      messages, schemaObj: PLAN_SCHEMA, temperature: 0.35, max_tokens: 512, signal,
+      meta: { kind: "plan", agent: this.id },
+    }));
+
+    if (obj) {
+      const plan = normalizePlan(obj, { places: world.places, defaultLocation: this.home, ctx: this._fixCtx(world, now) });
+      if (plan.blocks.length) {
+        // the plan is for today, whatever date the model wrote
+        if (plan.date !== date) world.corrections.add({ time: now, agent: this.name, kind: "date", from: plan.date, to: date });
+        return { ...plan, date };
+      }
     }
 
     // fallback
-    const date = formatSimTime(now).slice(0,10);
     const pick = (pred, fallbackName) =>
       world.places.find((p) => pred(p))?.name ?? fallbackName ?? world.places[0]?.name ?? this.home;
 
@@ -147,7 +395,7 @@ export class Agent {
     const park = pick((p) => /park/i.test(p.name), "Johnson Park");
     const market = pick((p) => /market|pharmacy/i.test(p.name), "Willow Market and Pharmacy");
 
-    this.dailyPlan = {
+    return {
       date,
       blocks: [
         { start: "08:00", end: "09:00", location: this.home, activity: "Morning routine and breakfast" },
@@ -161,6 +409,49 @@ export class Agent {
     };
   }
 
+  // Day boundary (first waking step on a new date): a diary entry for the day that ended, then a
+  // plan for the new one that takes the diary and its open commitments into account.
+  // Without a plan (drafting it failed, e.g. a timeout) there is no day to look back on: only the
+  // plan is drafted, again on every step until that works.
+  async startNewDay(llm, world, now, { signal = null } = {}) {
+    if (!this.dailyPlan) {
+      await this.makeDailyPlan(llm, world, now, { signal });
+      return;
+    }
+    const day = this.dailyPlan.date;
+    const memories = this.memory.records
+      // what happened (not what was concluded from it), minus the persona seeds
+      .filter(r => dateOf(r.timeEnd) === day && !r.id.startsWith("seed_") && r.type !== "reflection" && r.type !== "diary")
+      .sort((a, b) => b.importance - a.importance)
+      .slice(0, DIARY_MEMORIES)
+      .sort((a, b) => a.time - b.time);
+    const obj = this._countJSON(await llm.chatJSON({
+      messages: buildDiaryPrompt(this, day, memories),
+      schemaObj: DIARY_SCHEMA, temperature: 0.4, max_tokens: 384, signal,
+      meta: { kind: "diary", agent: this.id },
+    }));
+    // fallback: a bare entry, nothing carried over
+    const entry = {
+      date: day,
+      diary: obj?.diary.trim() || `A day with ${memories.length} things worth remembering.`,
+      commitments: (obj?.commitments ?? []).map(c => c.trim()).filter(Boolean),
+    };
+    const plan = await this._draftDailyPlan(llm, world, now, { signal, yesterday: entry });
+
+    // Commit: yesterday's per-day state goes with the old plan.
+    const todo = entry.commitments.length ? ` Still to do: ${entry.commitments.join("; ")}.` : "";
+    this.memory.add(new MemoryRecord({
+      id: nextId("diary"), time: now, text: `Diary, ${day}: ${entry.diary}${todo}`, importance: obj?.importance ?? 4, type: "diary",
+    }));
+    this.diaries.push(entry);
+    this.dailyPlan = plan;
+    this.busyUntil = null;
+    this.planRevisions = [];
+    this._seenChat = new Set();
+    this._seenOthers = new Set();
+    world.logEvent(now, `${this.name} writes a diary entry for ${day} and plans ${plan.date}.`, world.placeAt(this.x, this.y)?.id ?? null);
+  }
+
   _moveTowardsDest() {
     if (!this.dest) return;
     const d = dist(this.x, this.y, this.dest.x, this.dest.y);
@@ -179,108 +470,430 @@ export class Agent {
     this.y = clamp(this.y, 0, 31.9);
   }
 
-  async _rateImportancePaperStyle(llm, text) {
+  async _rateImportancePaperStyle(llm, text, { signal = null } = {}) {
     // separate LLM call (paper-ish)
     const messages = buildImportancePrompt(this, text);
-    const out = await llm.chat({ messages, temperature: 0.0, max_tokens: 16 });
+    const out = await llm.chat({ messages, temperature: 0.0, max_tokens: 16, signal, meta: { kind: "importance", agent: this.id } });
     const m = out.match(/(\d+)/);
     if (!m) return 3;
     const n = parseInt(m[1], 10);
     return clamp(n, 1, 10);
   }
 
-  async maybeReflect(llm, world, now) {
+  // Paper-style reflection:
+  //   1. ask for salient questions about the recent memories (focal points)
+  //   2. retrieve relevant memories for each question
+  //   3. infer insights that cite those memories; each becomes a reflection record whose
+  //      evidenceIds point at them (reflections can cite reflections, so they form a tree)
+  async maybeReflect(llm, world, now, { signal = null } = {}) {
     if (this.importanceSinceReflection < 26) return;
-    const recent = this.memory.recent(12).map(r => ({ text: r.text, importance: r.importance, type: r.type }));
-    const messages = buildReflectionPrompt(this, now, recent);
-    const obj = await llm.chatJSON({ messages, schemaObj: REFLECTION_SCHEMA, temperature: 0.35, max_tokens: 512 });
-
-    if (obj?.insights?.length) {
-      for (const ins of obj.insights) {
-        const rec = new MemoryRecord({ id: nextId("ref"), time: now, text: `Insight: ${ins}`, importance: 8, type: "reflection" });
-        this.memory.add(rec);
-      }
-      if (obj.summary_update) this.summary = obj.summary_update;
-      world.logEvent(now, `${this.name} reflects and gains insights.`, world.placeAt(this.x, this.y)?.id ?? null);
-    }
+    await this._reflect(llm, world, now, { signal });
+    // Reset only once the reflection is stored (or came back unusable): a cancelled one
+    // (Pause, timeout) is attempted again on the next step.
     this.importanceSinceReflection = 0;
   }
 
-  async step(llm, world, allAgents, now, { mode = "fast" } = {}) {
+  async _reflect(llm, world, now, { signal = null } = {}) {
+    const recent = this.memory.recent(15);
+    const focal = this._countJSON(await llm.chatJSON({
+      messages: buildFocalQuestionsPrompt(this, now, recent),
+      schemaObj: FOCAL_SCHEMA, temperature: 0.35, max_tokens: 256, signal,
+      meta: { kind: "reflection", agent: this.id },
+    }));
+    if (!focal) return;
+
+    const evidence = [];
+    for (const question of focal.questions) {
+      const queryVector = this.memory.relevance === "embedding" ? await this.memory.embedQuery(question) : null;
+      for (const s of this.memory.retrieve(question, now, 6, { queryVector, touch: false })) evidence.push(s.rec);
+    }
+    const statements = uniq(evidence);
+    if (!statements.length) return;
+
+    const obj = this._countJSON(await llm.chatJSON({
+      messages: buildReflectionPrompt(this, now, focal.questions, statements),
+      schemaObj: REFLECTION_SCHEMA, temperature: 0.35, max_tokens: 512, signal,
+      meta: { kind: "reflection", agent: this.id },
+    }));
+    if (!obj) return;
+
+    this.memory.touch(evidence, now);
+    for (const ins of obj.insights) {
+      // evidence numbers are 1-based statement indices; drop any the model made up
+      const evidenceIds = uniq(ins.evidence.map(n => statements[n - 1]?.id).filter(Boolean));
+      this.memory.add(new MemoryRecord({
+        id: nextId("ref"), time: now, text: `Insight: ${ins.text}`, importance: 8, type: "reflection", evidenceIds,
+      }));
+    }
+    if (obj.summary_update) this.summary = obj.summary_update;
+    world.logEvent(now, `${this.name} reflects and gains insights.`, world.placeAt(this.x, this.y)?.id ?? null);
+  }
+
+  // Forgetting: fold old, unimportant, rarely retrieved memories into a digest (or drop them),
+  // following this.memory.compaction. One batch per call.
+  async maybeCompact(llm, now, { signal = null } = {}) {
+    const batch = this.memory.compactionCandidates(now);
+    if (!batch.length) return;
+    if (this.memory.compaction.mode === "evict") {
+      this.memory.compact(batch);
+      return;
+    }
+
+    const messages = buildDigestPrompt(this, now, batch);
+    const obj = this._countJSON(await llm.chatJSON({
+      messages, schemaObj: DIGEST_SCHEMA, temperature: 0.2, max_tokens: 256, signal,
+      meta: { kind: "compaction", agent: this.id },
+    }));
+
+    // fallback: no usable digest, so the batch is simply evicted
+    const digest = obj
+      ? new MemoryRecord({ id: nextId("dig"), time: batch.at(-1).time, text: `Digest: ${obj.summary}`, importance: obj.importance, type: "digest" })
+      : null;
+    this.memory.compact(batch, digest);
+  }
+
+  // Commits the step's planning (once the step can no longer be cancelled): the decomposed plan,
+  // the memories its decision retrieved, and what _newObservations/_considerReaction found.
+  _commitPlanning(world, now, placeId, { plan, retrieved, news, revision }) {
+    this.dailyPlan = plan;
+    this.memory.touch(retrieved.map(s => s.rec), now);
+    this._seenChat = news.chatKeys;
+    this._seenOthers = news.others;
+    if (revision) this._revisePlan(world, now, placeId, revision);
+  }
+
+  _revisePlan(world, now, placeId, revision) {
+    this.dailyPlan = revision.plan;
+    this.planRevisions.push({ time: now, reason: revision.reason, before: revision.before, after: revision.after });
+    world.logEvent(now, `${this.name} changes plans: ${revision.reason}`, placeId);
+  }
+
+  // A new decision is due on arrival, when the current action's time is up, or when something
+  // salient happens: someone new shows up, or someone talks to this agent.
+  _shouldDecide(now, perception, arrived) {
+    if (arrived) return true;
+    const salient = perception.others.some(o => !this._seenOthers.has(o.name))
+      || perception.chat.some(c => c.to === this.name && !this._seenChat.has(chatKey(c)));
+    if (salient) return true;
+    if (this.dest) return false;
+    return !this.busyUntil || now >= this.busyUntil;
+  }
+
+  // When the action just decided ends: the model's duration, cut off at the end of the plan block
+  // in progress. Moving lasts until arrival; talking is decided again next tick.
+  _busyUntilFor(now, action, minutes, plan) {
+    if (action !== "stay" && action !== "use") return null;
+    let end = new Date(now.getTime() + Math.max(minutes, this.tickMinutes) * 60 * 1000);
+    const hhmm = clockTime(now);
+    const block = plan?.date === dateOf(now) ? plan.blocks.find(b => covers(b, hhmm)) : null;
+    if (block) {
+      const [h, m] = block.end.split(":").map(Number);
+      const t = new Date(now);
+      t.setHours(h, m, 0, 0);
+      if (t < end) end = t;
+    }
+    return end;
+  }
+
+  // Remembers a line spoken nearby, attributed to its speaker, and records it for diffusion tracing.
+  // remember: false only records it (a conversation's participants remember its summary instead).
+  hear(world, { speaker, text, time, placeId, to = null, conversationId = null }, { remember = true } = {}) {
+    const place = world.places.find(p => p.id === placeId)?.name ?? "";
+    if (remember) {
+      const importance = to === this.name ? ADDRESSED_IMPORTANCE : HEARD_IMPORTANCE;
+      this.memory.add(new MemoryRecord({
+        id: nextId("heard"), time, text: `Heard ${speaker} say: "${text}"`, importance, type: "heard",
+        source: { speaker, place, conversationId },
+      }));
+    }
+    world.hearings.add({ time, speaker, listener: this.name, text, placeId, place, conversationId });
+  }
+
+  // Interviews are read-only; this is the "keep" button.
+  rememberInterview(question, answer, time) {
+    this.memory.add(new MemoryRecord({
+      id: nextId("interview"), time, text: `Was asked "${question}" and answered: "${answer}"`,
+      importance: INTERVIEW_IMPORTANCE, type: "interview",
+    }));
+    this.importanceSinceReflection += INTERVIEW_IMPORTANCE;
+  }
+
+  // Interventions (the paper's "inner voice"): stores a user-authored memory, e.g. Sam Moore's
+  // "You want to invite Isabella to your campaign event". replan: also rewrite the rest of today's
+  // plan around it; that LLM call comes first, so cancelling it leaves the agent untouched.
+  // -> { record, revision } (revision: null unless a re-plan was asked for and came back usable)
+  // Waits for a step in progress to finish first (see _exclusive).
+  injectMemory(llm, world, now, opts = {}) {
+    return this._exclusive(() => this._injectMemory(llm, world, now, opts));
+  }
+
+  async _injectMemory(llm, world, now, { text, type = "thought", importance = 5, replan = false, signal = null } = {}) {
+    text = String(text ?? "").trim();
+    if (!text) throw new Error("injectMemory: empty text");
+    if (!INJECTABLE_TYPES.includes(type)) throw new Error(`injectMemory: type must be one of ${INJECTABLE_TYPES.join(", ")}`);
+    importance = clamp(Math.round(Number(importance) || 1), 1, 10);
+    // Yesterday's plan is left alone: the next waking step replaces it (see startNewDay).
+    const current = this.dailyPlan?.date === dateOf(now);
+    const revision = replan && current ? await this._considerReaction(llm, world, now, [text], { signal, force: true }) : null;
+
+    const record = this.memory.add(new MemoryRecord({ id: nextId("inject"), time: now, text, importance, type, injected: true }));
+    this.importanceSinceReflection += importance;
+    const placeId = world.placeAt(this.x, this.y)?.id ?? null;
+    world.logEvent(now, `Intervention: ${type} injected into ${this.name} (importance ${importance}): "${text}"`, placeId, { kind: "intervention" });
+    if (revision) {
+      this._revisePlan(world, now, placeId, revision);
+      this.busyUntil = null; // decide again under the new plan
+    }
+    return { record, revision };
+  }
+
+  // Posts a line to the place's chat; everyone there hears it.
+  // line: { speaker, text, to, conversationId }; log: see World.postChat; participants: agents
+  // who don't remember the line itself (see hear).
+  _say(world, allAgents, placeId, now, line, { log = true, participants = [] } = {}) {
+    world.postChat(placeId, line.speaker, line.text, now, { to: line.to, log });
+    for (const a of world.listeners(placeId, line.speaker, allAgents)) {
+      a.hear(world, { ...line, time: now, placeId }, { remember: !participants.includes(a) });
+    }
+  }
+
+  // Both participants remember the session (their own summary); its lines go to the place's chat
+  // and the world keeps the thread (instead of one log line per utterance).
+  _commitConversation(world, allAgents, conv, partner, now) {
+    for (const turn of conv.turns) {
+      const to = turn.speaker === this.name ? partner.name : this.name;
+      this._say(world, allAgents, conv.placeId, now, { ...turn, to, conversationId: conv.id }, { log: false, participants: [this, partner] });
+    }
+    world.conversations.push(conv);
+    world.logEvent(now, `${this.name} and ${partner.name} have a conversation (${conv.turns.length} lines).`, conv.placeId);
+
+    const r = RELATIONSHIP_RATES;
+    for (const [self, other] of [[this, partner], [partner, this]]) {
+      // both took part, so its lines are no news to react to
+      for (const turn of conv.turns) self._seenChat.add(chatKey({ ...turn, time: now }));
+      self.memory.touch(conv.recalled[self.name] ?? [], now);
+      const { summary, importance, feeling } = conv.summaries[self.name];
+      self.memory.add(new MemoryRecord({
+        id: nextId("conv"), time: now, text: `Conversation with ${other.name}: ${summary}`, importance, type: "conversation",
+      }));
+      self.importanceSinceReflection += importance;
+      self.lastConversationWith.set(other.name, now);
+      self.currentAction = `talking to ${other.name}`;
+      self.lastUtterance = conv.turns.findLast(t => t.speaker === self.name)?.text ?? "";
+      self._noteInteraction(world, other, now, {
+        familiarity: Math.min(r.conversationMax, r.conversationPerTurn * conv.turns.length),
+        affinity: feeling * r.affinityPerFeeling,
+      });
+    }
+  }
+
+  // Relationship bookkeeping for one direction (the caller updates the other agent's side too).
+  _noteInteraction(world, other, now, change) {
+    if (this.relationships.update(other.name, change, now)) {
+      world.logEvent(now, `${this.name} gets to know ${other.name}.`, world.placeAt(this.x, this.y)?.id ?? null);
+    }
+  }
+
+  // Steps and interventions run one at a time per agent: each commits a plan derived from the
+  // current one, so interleaving them (an intervention's re-plan landing while a step waits for
+  // the model) would silently drop one of the two changes.
+  _exclusive(task) {
+    const run = this._turn.then(task, task);
+    this._turn = run.catch(() => {});
+    return run;
+  }
+
+  // signal: AbortSignal that cancels the in-flight LLM call(s).
+  // onUpdate(agent): called whenever displayable state changes (e.g. each streamed token).
+  step(llm, world, allAgents, now, opts = {}) {
+    return this._exclusive(() => this._step(llm, world, allAgents, now, opts));
+  }
+
+  async _step(llm, world, allAgents, now, { mode = "fast", signal = null, onUpdate = null } = {}) {
+    if (this._sleepStep(world, now)) {
+      this.lastStep = "asleep";
+      llm.telemetry.recordSkip("asleep");
+      return;
+    }
+    // Committed on its own: a step cancelled after this point still starts the day only once.
+    if (this.dailyPlan?.date !== dateOf(now)) await this.startNewDay(llm, world, now, { signal });
+
     // Move if traveling
-    if (this.dest) {
+    const walking = !!this.dest;
+    if (walking) {
       this._moveTowardsDest();
       this.currentAction = "walking";
     }
 
     const perception = world.perceive(this, allAgents);
 
+    // Busy (walking, or within the action's duration): keep going without asking the model.
+    if (!this._shouldDecide(now, perception, walking && !this.dest)) {
+      this.lastStep = "busy";
+      llm.telemetry.recordSkip("busy");
+      this._updateNeeds(now, perception, this.lastAction);
+      return;
+    }
+    this.lastStep = "decided";
+
+    // Plan: break the current block down, then see if anything new calls for a change of plans.
+    // Both are only applied once the step's action is decided (see _commitPlanning).
+    const decomposed = await this.decomposeCurrent(llm, world, now, { signal });
+    const news = this._newObservations(perception);
+    const revision = news.lines.length && decomposed
+      ? await this._considerReaction(llm, world, now, news.lines, { signal, plan: decomposed })
+      : null;
+    const plan = revision?.plan ?? decomposed;
+
     // Build retrieval query (current situation)
-    const q = `${this.name} at ${perception.placeName}. Plan: ${this.planSnippetFor(now)}. Others: ${perception.others.map(o => o.name).join(", ")}. Chat: ${perception.chat.map(c => c.text).join(" | ")}`;
-    const retrieved = this.memory.retrieve(q, now, 8);
-    this.lastRetrievedMemoriesText = retrieved.map(r => `[score:${r.score.toFixed(2)}] ${r.rec.text}`).join("\n");
+    const q = `${this.name} at ${perception.placeName}. Plan: ${this.planSnippetFor(now, plan)}. Others: ${perception.others.map(o => o.name).join(", ")}. Chat: ${perception.chat.map(c => c.text).join(" | ")}`;
+    const queryVector = this.memory.relevance === "embedding" ? await this.memory.embedQuery(q) : null;
+    const retrieved = this.memory.retrieve(q, now, 8, { queryVector, touch: false });
+    const planning = { plan: decomposed, retrieved, news, revision };
+    this.lastRetrievalQuery = q;
+    this.lastQueryVector = queryVector;
+    this.lastRetrievedMemoriesText = retrieved.map(describeScored).join("\n");
 
     // Prompt for action decision (single LLM call in fast mode)
-    const messages = buildActionPrompt({ agent: this, world, now, perception, retrieved, mode });
+    const messages = buildActionPrompt({ agent: this, world, now, perception, retrieved, mode, plan });
     this.lastPromptText = messages.map(m => `${m.role.toUpperCase()}:\n${m.content}`).join("\n\n---\n\n");
-
-    const obj = await llm.chatJSON({ messages, schemaObj: ACTION_SCHEMA, temperature: 0.35, max_tokens: 512 });
+    this.lastResponseText = "";
+    const shown = { lastThought: this.lastThought, lastUtterance: this.lastUtterance };
+    this.lastThought = "";
+    this.lastUtterance = "";
+    onUpdate?.(this);
+
+    // Stream the answer so thought/utterance fill in while the model is still generating.
+    const onToken = (delta, text) => {
+      this.lastResponseText = text;
+      this.lastThought = partialJSONString(text, "thought");
+      this.lastUtterance = partialJSONString(text, "utterance");
+      onUpdate?.(this);
+    };
+    let result;
+    try {
+      result = await llm.chatJSON({
+        messages, schemaObj: ACTION_SCHEMA, temperature: 0.35, max_tokens: 512, onToken, signal,
+        meta: { kind: "action", agent: this.id },
+      });
+    } catch (e) {
+      // cancelled (or failed) mid-stream: show the last committed thought, not a partial one
+      Object.assign(this, shown);
+      onUpdate?.(this);
+      throw e;
+    }
+    this.lastJSONResult = { status: result.status, attempts: result.attempts, errors: result.errors };
+    const obj = this._countJSON(result);
 
     if (!obj) {
-      // fallback: random move or stay
+      this._commitPlanning(world, now, perception.placeId, planning);
+      // fallback: the model never produced a valid action, so just observe this tick
       this.lastThought = "I'm not sure what to do next… I'll observe for now.";
+      this.lastUtterance = "";
       this.currentAction = "idle";
+      this.lastAction = null;
+      this.busyUntil = null;
+      this._updateNeeds(now, perception, null);
       return;
     }
 
     this.lastThought = obj.thought || "";
-
-    // Store memories
-    if (Array.isArray(obj.memories)) {
-      for (const m of obj.memories) {
-        const text = String(m.text || "").slice(0, 280);
-        const type = m.type === "action" ? "action" : "observation";
-        let imp = clamp(parseInt(m.importance ?? 3, 10) || 3, 1, 10);
-
-        if (mode === "paper") {
-          // do separate rating call to better emulate the paper's pipeline
-          imp = await this._rateImportancePaperStyle(llm, text);
-        }
-
-        const rec = new MemoryRecord({ id: nextId("mem"), time: now, text, importance: imp, type });
-        this.memory.add(rec);
-        this.importanceSinceReflection += imp;
+    this.lastUtterance = obj.utterance || "";
+
+    // Store memories (already schema-checked: type, importance range, 1-3 items).
+    // All LLM calls of this step happen before anything is committed, so a step that is
+    // cancelled midway leaves the agent's memory untouched and its plan unrevised.
+    const newMemories = [];
+    for (const m of obj.memories) {
+      const text = m.text.slice(0, 280);
+      let imp = m.importance;
+
+      if (mode === "paper") {
+        // do separate rating call to better emulate the paper's pipeline
+        imp = await this._rateImportancePaperStyle(llm, text, { signal });
       }
+      newMemories.push({ text, type: m.type, importance: imp });
     }
 
-    // Execute action
     const action = obj.action;
     const target = (obj.target || "").trim();
     const utterance = (obj.utterance || "").trim();
 
-    // If interacting, only allow if target is nearby.
+    // Talking to someone nearby opens a conversation session (more LLM calls, so also before
+    // anything is committed). Targets are matched loosely ("Klaus" -> "Klaus Mueller").
+    let who = null;
+    let partner = null;
+    let conversation = null;
+    if (action === "interact") {
+      who = matchPerson(target, perception.others.map(o => o.name));
+      partner = who ? allAgents.find(a => a.name === who) : null;
+      if (partner && utterance && canConverse(this, partner, now)) {
+        conversation = await runConversation(llm, {
+          initiator: this, partner, opening: utterance,
+          placeId: perception.placeId, placeName: perception.placeName, now, signal,
+        });
+      }
+    }
+
+    this._commitPlanning(world, now, perception.placeId, planning);
+    for (const m of newMemories) {
+      this.memory.add(new MemoryRecord({ id: nextId("mem"), time: now, ...m }));
+      this.importanceSinceReflection += m.importance;
+    }
+
+    // Execute action (every fix of the target is logged)
+    let useMinutes = 0; // how long the object is busy (0: not used)
+    const note = (kind, to) => world.corrections.add({ time: now, agent: this.name, kind, from: target, to });
     if (action === "interact") {
-      const ok = perception.others.some(o => o.name === target);
-      if (ok && utterance) {
-        world.postChat(perception.placeId, this.name, utterance, now);
-        this.currentAction = `talking to ${target}`;
+      // If interacting, only allow if target is nearby.
+      if (!who) note("unresolved", "no one nearby by that name");
+      else if (who !== target) note("person", who);
+      if (conversation) {
+        this._commitConversation(world, allAgents, conversation, partner, now);
+      } else if (who && utterance) {
+        this._say(world, allAgents, perception.placeId, now, { speaker: this.name, text: utterance, to: who });
+        this.currentAction = `talking to ${who}`;
+        this._noteInteraction(world, partner, now, RELATIONSHIP_RATES.utterance);
+        partner._noteInteraction(world, this, now, RELATIONSHIP_RATES.utterance);
       } else {
         this.currentAction = "idle";
       }
+    } else if (action === "use") {
+      // only objects at the current place; one user at a time
+      const obj = matchObject(target, world.objectsAt(perception.placeId));
+      if (!obj) {
+        note("unresolved", "no such object here");
+        this.currentAction = "staying";
+      } else {
+        if (obj.name !== target) note("object", obj.name);
+        const used = world.useObject(obj, this.name, now);
+        this.currentAction = used ? `using the ${obj.name}` : `waiting for the ${obj.name}`;
+        if (used) useMinutes = obj.minutes;
+      }
     } else if (action === "move") {
-      // target should be a place name
-      const place = world.places.find(p => p.name === target) ?? world.places[0];
-      this.dest = { x: place.x, y: place.y, placeId: place.id, placeName: place.name };
-      this.currentAction = `going to ${place.name}`;
-      world.logEvent(now, `${this.name} heads to ${place.name}.`, place.id);
+      // target should be a place name; an unknown one means staying put
+      const place = matchPlace(target, world.places);
+      if (!place) {
+        note("unresolved", "unknown place, staying");
+        this.currentAction = "staying";
+      } else {
+        if (place.name !== target) note("place", place.name);
+        this.dest = { x: place.x, y: place.y, placeId: place.id, placeName: place.name };
+        this.currentAction = `going to ${place.name}`;
+        world.logEvent(now, `${this.name} heads to ${place.name}.`, place.id);
+      }
     } else {
       this.currentAction = "staying";
     }
 
-    // Energy drift (toy)
-    this.energy = clamp(this.energy - 1, 0, 100);
+    this.lastAction = action;
+    this.busyUntil = this._busyUntilFor(now, action, action === "use" ? useMinutes : obj.duration_minutes, plan);
+    this._updateNeeds(now, perception, action);
 
     // Reflection occasionally
-    await this.maybeReflect(llm, world, now);
+    await this.maybeReflect(llm, world, now, { signal });
+
+    // Keep the memory stream within budget on long runs
+    await this.maybeCompact(llm, now, { signal });
   }
 }
@@ -0,0 +1,73 @@
+// Persistent LLM response cache (IndexedDB), keyed by a hash of
+// model id + messages + temperature + response_format.
+//
+// Opt-in: LLMClient only consults it when `llm.cache` is set and its mode is not "off".
+// Modes:
+//   "on"     read + write (identical prompts after Reset are answered instantly)
+//   "bypass" write only (always call the model, but refresh the stored answer)
+//   "off"    not used at all
+// While recording or replaying a cassette the cache is not used (see LLMClient._call).
+
+import { hashString, stableStringify } from "./util.js";
+
+const DB_NAME = "generative-agents-llm-cache";
+const STORE = "responses";
+
+export function cacheKey({ modelId, messages, temperature, response_format }) {
+  return hashString(stableStringify({ modelId, messages, temperature, response_format }));
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export class ResponseCache {
+  constructor({ mode = "off" } = {}) {
+    this.mode = mode;
+    this.hits = 0;
+    this.misses = 0;
+    this.last = null; // "hit" | "miss" of the latest lookup
+    this._db = null;
+  }
+
+  get readable() { return this.mode === "on"; }
+  get writable() { return this.mode === "on" || this.mode === "bypass"; }
+
+  async _open() {
+    if (this._db) return this._db;
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    this._db = await promisify(req);
+    return this._db;
+  }
+
+  async _store(mode) {
+    const db = await this._open();
+    return db.transaction(STORE, mode).objectStore(STORE);
+  }
+
+  // -> { content, usage } or null
+  async get(key) {
+    if (!this.readable) return null;
+    const hit = await promisify((await this._store("readonly")).get(key));
+    if (hit) this.hits += 1;
+    else this.misses += 1;
+    this.last = hit ? "hit" : "miss";
+    return hit ?? null;
+  }
+
+  async put(key, { content, usage }) {
+    if (!this.writable) return;
+    await promisify((await this._store("readwrite")).put({ content, usage: usage ?? null, savedAt: Date.now() }, key));
+  }
+
+  async clear() {
+    await promisify((await this._store("readwrite")).clear());
+    this.hits = 0;
+    this.misses = 0;
+    this.last = null;
+  }
+}
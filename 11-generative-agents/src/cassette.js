@@ -0,0 +1,130 @@
+// Record & replay for LLM calls.
+//
+// A cassette maps a request hash -> list of responses, in the order they were recorded.
+// - RecordingProvider wraps a real provider and writes every request/response into a cassette.
+// - ReplayProvider serves the recorded responses back (same request -> same response),
+//   so a whole simulation run can be reproduced offline, without a GPU.
+//
+// The hash covers messages, temperature, max_tokens and response_format (not the model id),
+// so a cassette recorded with one model can be replayed with any backend selected. Whether the
+// recording backend had a JSON mode is saved too: it changes how JSON requests are built (see
+// LLMClient.chatJSON), so a replay has to build them the same way to find them.
+
+import { hashString, stableStringify, streamChunks } from "./util.js";
+
+export function requestHash({ messages, temperature, max_tokens, response_format }) {
+  return hashString(stableStringify({ messages, temperature, max_tokens, response_format }));
+}
+
+export class Cassette {
+  constructor({ modelId = "", supportsJSONMode = true, entries = {} } = {}) {
+    this.modelId = modelId;
+    this.supportsJSONMode = supportsJSONMode;
+    this.entries = new Map(Object.entries(entries)); // hash -> [{ content, usage, request }]
+    this._cursor = new Map(); // hash -> next index to replay
+  }
+
+  get size() {
+    let n = 0;
+    for (const list of this.entries.values()) n += list.length;
+    return n;
+  }
+
+  record(req, resp) {
+    const h = requestHash(req);
+    if (!this.entries.has(h)) this.entries.set(h, []);
+    this.entries.get(h).push({ content: resp.content, usage: resp.usage ?? null, request: req });
+  }
+
+  next(req) {
+    const h = requestHash(req);
+    const list = this.entries.get(h);
+    if (!list?.length) return null;
+    // Identical requests are answered in recorded order; the last answer repeats once exhausted.
+    const i = this._cursor.get(h) ?? 0;
+    this._cursor.set(h, i + 1);
+    return list[Math.min(i, list.length - 1)];
+  }
+
+  unread(req) {
+    // Puts the last served response back (a cancelled replay should not consume it).
+    const h = requestHash(req);
+    const i = this._cursor.get(h) ?? 0;
+    if (i > 0) this._cursor.set(h, i - 1);
+  }
+
+  rewind() {
+    this._cursor.clear();
+  }
+
+  toJSON() {
+    return { version: 1, modelId: this.modelId, supportsJSONMode: this.supportsJSONMode, entries: Object.fromEntries(this.entries) };
+  }
+
+  static fromJSON(obj) {
+    if (!obj || typeof obj.entries !== "object") throw new Error("Not a cassette file (missing entries)");
+    return new Cassette({ modelId: obj.modelId ?? "", supportsJSONMode: obj.supportsJSONMode ?? true, entries: obj.entries });
+  }
+}
+
+export class RecordingProvider {
+  constructor(inner, cassette = new Cassette({ modelId: inner.modelId, supportsJSONMode: inner.supportsJSONMode })) {
+    this.name = `${inner.name}+rec`;
+    this.inner = inner;
+    this.cassette = cassette;
+  }
+
+  get modelId() { return this.inner.modelId; }
+  get supportsJSONMode() { return this.inner.supportsJSONMode; }
+
+  rewind() {
+    this.inner.rewind?.();
+  }
+
+  async complete(req, opts = {}) {
+    // Cancelled calls throw before reaching the cassette, so it only holds finished responses.
+    const resp = await this.inner.complete(req, opts);
+    this.cassette.record(req, resp);
+    return resp;
+  }
+}
+
+// fallback: provider used on a cassette miss (e.g. a ScriptedProvider); without one a miss throws.
+export class ReplayProvider {
+  constructor(cassette, { fallback = null } = {}) {
+    this.name = "replay";
+    this.cassette = cassette;
+    this.fallback = fallback;
+    this.modelId = cassette.modelId || "cassette";
+    this.supportsJSONMode = cassette.supportsJSONMode;
+    this.misses = 0; // requests not on the cassette (answered by the fallback, if any)
+  }
+
+  rewind() {
+    this.cassette.rewind();
+    this.misses = 0;
+  }
+
+  async complete(req, { onToken = null, signal = null } = {}) {
+    signal?.throwIfAborted();
+    const hit = this.cassette.next(req);
+    if (hit) {
+      if (onToken) {
+        try {
+          await streamChunks(hit.content, onToken, signal);
+        } catch (e) {
+          this.cassette.unread(req);
+          throw e;
+        }
+      }
+      return { content: hit.content, usage: hit.usage };
+    }
+
+    this.misses += 1;
+    if (this.fallback) {
+      console.warn("Cassette miss; using fallback provider", requestHash(req));
+      return this.fallback.complete(req, { onToken, signal });
+    }
+    throw new Error(`Cassette miss for request ${requestHash(req)}`);
+  }
+}
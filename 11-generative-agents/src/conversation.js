@@ -0,0 +1,78 @@
+// Conversation sessions between two agents.
+// When an agent decides to talk to someone nearby, its utterance opens a session: the two
+// alternate lines (one LLM call per turn, each from the speaker's own persona and memories)
+// until one of them ends it or the turn limit is reached, all within one tick. Afterwards each
+// participant summarizes the conversation from their own point of view; the summary becomes
+// a memory of type "conversation".
+//
+// runConversation() only makes LLM calls; the caller commits the result (Agent.step), so an
+// aborted tick leaves both agents untouched.
+
+import { CONVERSATION_TURN_SCHEMA, CONVERSATION_SUMMARY_SCHEMA,
+         buildConversationTurnPrompt, buildConversationSummaryPrompt } from "./prompts.js";
+
+export const MAX_TURNS = 8;
+// The same two agents don't start another session within this many (sim) minutes;
+// an utterance in between is a one-off line, as before.
+export const COOLDOWN_MINUTES = 60;
+
+let _convCounter = 0;
+
+export class Conversation {
+  constructor({ placeId, placeName, participants, startedAt }) {
+    _convCounter += 1;
+    this.id = `conv_${_convCounter}`;
+    this.placeId = placeId;
+    this.placeName = placeName;
+    this.participants = participants; // [initiator name, partner name]
+    this.startedAt = startedAt;
+    this.turns = []; // [{ speaker, text }]
+    this.endedBy = null; // name of whoever ended it; null if it hit the turn limit
+    this.summaries = {}; // name -> { summary, importance, feeling }
+    this.recalled = {}; // name -> memories retrieved for that speaker's lines (touched on commit)
+  }
+}
+
+// Whether a and b may start a session now (see COOLDOWN_MINUTES).
+export function canConverse(a, b, now) {
+  const last = a.lastConversationWith.get(b.name);
+  return !last || now - last >= COOLDOWN_MINUTES * 60000;
+}
+
+export async function runConversation(llm, { initiator, partner, opening, placeId, placeName, now, signal = null, maxTurns = MAX_TURNS }) {
+  const conv = new Conversation({ placeId, placeName, participants: [initiator.name, partner.name], startedAt: now });
+  conv.turns.push({ speaker: initiator.name, text: opening });
+
+  let speaker = partner;
+  let listener = initiator;
+  while (conv.turns.length < maxTurns) {
+    const memories = speaker.memory.retrieve(listener.name, now, 4, { touch: false });
+    (conv.recalled[speaker.name] ??= []).push(...memories.map(s => s.rec));
+    const obj = speaker._countJSON(await llm.chatJSON({
+      messages: buildConversationTurnPrompt(speaker, listener, conv, memories, now),
+      schemaObj: CONVERSATION_TURN_SCHEMA, temperature: 0.6, max_tokens: 192, signal,
+      meta: { kind: "conversation", agent: speaker.id },
+    }));
+    if (!obj || !obj.utterance.trim()) {
+      conv.endedBy = speaker.name; // nothing usable to say: the conversation fizzles out
+      break;
+    }
+    conv.turns.push({ speaker: speaker.name, text: obj.utterance.trim() });
+    if (obj.end_conversation) {
+      conv.endedBy = speaker.name;
+      break;
+    }
+    [speaker, listener] = [listener, speaker];
+  }
+
+  for (const [self, other] of [[initiator, partner], [partner, initiator]]) {
+    const obj = self._countJSON(await llm.chatJSON({
+      messages: buildConversationSummaryPrompt(self, other, conv, now),
+      schemaObj: CONVERSATION_SUMMARY_SCHEMA, temperature: 0.3, max_tokens: 192, signal,
+      meta: { kind: "conversation", agent: self.id },
+    }));
+    // fallback: a plain record of who talked, without the model's summary
+    conv.summaries[self.name] = obj ?? { summary: `talked for ${conv.turns.length} turns`, importance: 3, feeling: 0 };
+  }
+  return conv;
+}
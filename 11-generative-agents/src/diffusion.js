@@ -0,0 +1,39 @@
+// Information diffusion: who heard what, from whom.
+// Every line spoken at a place is heard by everyone else there (Agent.hear); the world keeps one
+// HearingLog entry per (line, listener). traceDiffusion() follows a topic (keyword) through that
+// log, as in the paper's party-invitation experiment: who brought it up first, and how it reached
+// everyone else (first time each agent heard it, from whom, and in how many hops).
+
+export class HearingLog {
+  constructor() {
+    this.entries = []; // [{ time, speaker, listener, text, placeId, place, conversationId }], oldest first
+  }
+
+  add(entry) {
+    this.entries.push(entry);
+  }
+}
+
+// -> { origins: [{ name, time }], reached: [{ name, time, from, text, place, hops }] }
+// An origin mentioned the topic before hearing anyone else mention it. Only lines that reached a
+// listener count (lines spoken to an empty room leave no trace).
+export function traceDiffusion(log, keyword) {
+  const needle = keyword.trim().toLowerCase();
+  if (!needle) return { origins: [], reached: [] };
+
+  const hops = new Map(); // name -> hops from an origin, for everyone who knows
+  const origins = [];
+  const reached = [];
+  for (const e of log.entries) {
+    if (!e.text.toLowerCase().includes(needle)) continue;
+    if (!hops.has(e.speaker)) {
+      hops.set(e.speaker, 0);
+      origins.push({ name: e.speaker, time: e.time });
+    }
+    if (hops.has(e.listener)) continue;
+    const h = hops.get(e.speaker) + 1;
+    hops.set(e.listener, h);
+    reached.push({ name: e.listener, time: e.time, from: e.speaker, text: e.text, place: e.place, hops: h });
+  }
+  return { origins, reached };
+}
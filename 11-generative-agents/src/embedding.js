@@ -0,0 +1,88 @@
+// Embedders for MemoryStream relevance (the paper uses embedding cosine similarity).
+//
+// Interface:
+//   id            short name shown in the UI
+//   embed(text)   -> Float32Array (L2-normalized) or a Promise of one
+//
+// - HashedNgramEmbedder: deterministic, offline, instant. Word + character n-gram features
+//   hashed into a fixed-size vector, so "plan"/"planning" or "Klaus"/"Klaus's" overlap.
+//   It still knows nothing about meaning ("party" vs "celebration").
+// - BrowserModelEmbedder: a real sentence-embedding model running in the browser
+//   (transformers.js, downloaded on first use). This is the one that matches paraphrases.
+
+import { hashString } from "./util.js";
+
+export function cosineDense(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  if (na === 0 || nb === 0) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+function normalize(vec) {
+  let n = 0;
+  for (let i = 0; i < vec.length; i++) n += vec[i] * vec[i];
+  n = Math.sqrt(n);
+  if (n > 0) for (let i = 0; i < vec.length; i++) vec[i] /= n;
+  return vec;
+}
+
+export class HashedNgramEmbedder {
+  constructor({ dim = 512, n = 3 } = {}) {
+    this.id = "hashed";
+    this.dim = dim;
+    this.n = n;
+  }
+
+  _add(vec, feature, weight) {
+    // signed hashing trick: the sign bit halves collision bias
+    const h = parseInt(hashString(feature).slice(-8), 16);
+    vec[h % this.dim] += (h & 0x80000000 ? -1 : 1) * weight;
+  }
+
+  embed(text) {
+    const vec = new Float32Array(this.dim);
+    const words = text.toLowerCase().replace(/[^\p{L}\p{N}\s]+/gu, " ").split(/\s+/).filter(w => w.length >= 2);
+    for (const w of words) {
+      this._add(vec, `w:${w}`, 1);
+      const padded = `<${w}>`;
+      for (let i = 0; i + this.n <= padded.length; i++) this._add(vec, `c:${padded.slice(i, i + this.n)}`, 0.5);
+    }
+    return normalize(vec);
+  }
+}
+
+export class BrowserModelEmbedder {
+  constructor({ model = "Xenova/all-MiniLM-L6-v2", onProgress = null } = {}) {
+    this.id = "model";
+    this.model = model;
+    this.onProgress = onProgress;
+    this._pipe = null;
+  }
+
+  async _load() {
+    if (!this._pipe) {
+      this._pipe = (async () => {
+        const { pipeline } = await import("https://esm.run/@huggingface/transformers");
+        return pipeline("feature-extraction", this.model, { progress_callback: this.onProgress ?? undefined });
+      })().catch((e) => {
+        this._pipe = null; // allow a retry (e.g. after a network error)
+        throw e;
+      });
+    }
+    return this._pipe;
+  }
+
+  async embed(text) {
+    const pipe = await this._load();
+    const out = await pipe(text, { pooling: "mean", normalize: true });
+    return Float32Array.from(out.data);
+  }
+}
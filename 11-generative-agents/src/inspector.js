@@ -0,0 +1,234 @@
+// Memory inspector: an agent's whole MemoryStream as a sortable, filterable table.
+// - Ad-hoc retrieval: type a query and every record gets its retrieve() score (with the
+//   relevance / recency / importance components) at the current sim time. Read-only: it does
+//   not count as an access.
+// - Reflections list their evidence; clicking one jumps to that record.
+
+import { memoryText } from "./memory.js";
+import { formatSimTime } from "./util.js";
+
+const MAX_ROWS = 300;
+
+const hhmm = (d) => formatSimTime(d).slice(5); // MM-DD HH:MM
+const num = (v) => v.toFixed(2);
+// records added since the query ran have no score until the next refresh
+const scoreCell = (r, key) => (r.s ? num(r.s[key]) : "-");
+// type filter value -> whether rec passes ("injected": user interventions of any type)
+const matchesType = (rec, type) => !type || (type === "injected" ? rec.injected : rec.type === type);
+
+// value: sort key; cell: display text. `scored` columns only appear while a query is active.
+const COLUMNS = [
+  { key: "time", label: "Time", value: (r) => r.rec.time.getTime(), cell: (r) => hhmm(r.rec.time) },
+  { key: "type", label: "Type", value: (r) => r.rec.type, cell: (r) => (r.rec.injected ? `${r.rec.type} (injected)` : r.rec.type) },
+  { key: "importance", label: "Imp", value: (r) => r.rec.importance, cell: (r) => String(r.rec.importance) },
+  { key: "count", label: "×", value: (r) => r.rec.count, cell: (r) => String(r.rec.count), title: "occurrences merged into this record" },
+  { key: "accessCount", label: "Acc", value: (r) => r.rec.accessCount, cell: (r) => String(r.rec.accessCount), title: "times retrieved" },
+  { key: "lastAccessed", label: "Last acc", value: (r) => r.rec.lastAccessed.getTime(), cell: (r) => hhmm(r.rec.lastAccessed) },
+  { key: "score", label: "Score", scored: true, value: (r) => r.s?.score ?? -1, cell: (r) => scoreCell(r, "score") },
+  { key: "relevance", label: "Rel", scored: true, value: (r) => r.s?.relevance ?? -1, cell: (r) => scoreCell(r, "relevance"), raw: "relevance" },
+  { key: "recency", label: "Rec", scored: true, value: (r) => r.s?.recency ?? -1, cell: (r) => scoreCell(r, "recency"), raw: "recency" },
+  { key: "impScore", label: "Imp·", scored: true, value: (r) => r.s?.importance ?? -1, cell: (r) => scoreCell(r, "importance"), raw: "importance" },
+  { key: "text", label: "Text", value: (r) => r.rec.text, cell: null },
+];
+
+export class MemoryInspector {
+  // root: container element; isVisible(): whether it is worth rendering (e.g. its <details> is open).
+  constructor(root, { isVisible = () => true } = {}) {
+    this.root = root;
+    this.isVisible = isVisible;
+    this.agent = null;
+    this.now = null;
+    this.sort = { key: "time", dir: -1 };
+    this.query = "";
+    this.scores = null; // Map(record -> scored) for the active query
+    this.focusId = null; // record to highlight (evidence link target)
+    this._key = "";
+    this._build();
+  }
+
+  _build() {
+    this.root.innerHTML = `
+      <div class="small" style="display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin-bottom:8px;">
+        Type
+        <select data-role="type">
+          <option value="">all</option>
+          <option value="observation">observation</option>
+          <option value="action">action</option>
+          <option value="conversation">conversation</option>
+          <option value="heard">heard</option>
+          <option value="diary">diary</option>
+          <option value="interview">interview</option>
+          <option value="thought">thought</option>
+          <option value="injected">injected (any type)</option>
+          <option value="reflection">reflection</option>
+          <option value="digest">digest</option>
+        </select>
+        <input data-role="filter" type="text" size="14" placeholder="filter text" />
+        <input data-role="query" type="text" size="22" placeholder="retrieval query" title="Scores every memory with retrieve() at the current sim time (read-only)" />
+        <button class="btn" data-role="run" style="padding:2px 8px;font-size:11px;">Retrieve</button>
+        <button class="btn" data-role="clear" style="padding:2px 8px;font-size:11px;">Clear</button>
+        <span class="muted" data-role="status"></span>
+      </div>
+      <div style="max-height:360px;overflow:auto;">
+        <table class="tbl inspector"><thead></thead><tbody></tbody></table>
+      </div>`;
+    const q = (role) => this.root.querySelector(`[data-role="${role}"]`);
+    this.typeSelect = q("type");
+    this.filterInput = q("filter");
+    this.queryInput = q("query");
+    this.statusEl = q("status");
+    this.thead = this.root.querySelector("thead");
+    this.tbody = this.root.querySelector("tbody");
+
+    this.typeSelect.onchange = () => this.render();
+    this.filterInput.oninput = () => this.render();
+    this.queryInput.onkeydown = (e) => { if (e.key === "Enter") this.runQuery(); };
+    q("run").onclick = () => this.runQuery();
+    q("clear").onclick = () => {
+      this.queryInput.value = "";
+      this.runQuery();
+    };
+  }
+
+  // Called on every side-panel render; only does work when something changed.
+  show(agent, now) {
+    if (agent !== this.agent) {
+      this.agent = agent;
+      this.focusId = null;
+      this._key = "";
+    }
+    this.now = now;
+    if (!agent || !this.isVisible()) {
+      this._key = ""; // refresh as soon as it is shown again
+      return;
+    }
+
+    const m = agent.memory;
+    const key = `${m.records.length}:${m.records.at(-1)?.id}:${m.mergeStats.merged}:${now?.getTime()}`;
+    if (key === this._key) return;
+    this._key = key;
+    this.refresh().catch((e) => console.warn("inspector refresh failed:", e));
+  }
+
+  async runQuery() {
+    this.query = this.queryInput.value.trim();
+    this.sort = this.query ? { key: "score", dir: -1 } : { key: "time", dir: -1 };
+    await this.refresh();
+  }
+
+  async refresh() {
+    const agent = this.agent;
+    if (!agent) return;
+    this.scores = null;
+    if (this.query) {
+      const m = agent.memory;
+      const queryVector = m.relevance === "embedding" ? await m.embedQuery(this.query) : null;
+      if (agent !== this.agent) return;
+      const all = m.retrieve(this.query, this.now, m.records.length, { queryVector, touch: false });
+      this.scores = new Map(all.map(s => [s.rec, s]));
+    }
+    this.render();
+  }
+
+  render() {
+    const agent = this.agent;
+    if (!agent) return;
+    const memory = agent.memory;
+    const cols = COLUMNS.filter(c => !c.scored || this.scores);
+
+    this.thead.innerHTML = "";
+    const tr = document.createElement("tr");
+    for (const c of cols) {
+      const th = document.createElement("th");
+      th.textContent = c.label + (this.sort.key === c.key ? (this.sort.dir < 0 ? " ▾" : " ▴") : "");
+      th.style.cursor = "pointer";
+      if (c.title) th.title = c.title;
+      th.onclick = () => {
+        this.sort = { key: c.key, dir: this.sort.key === c.key ? -this.sort.dir : -1 };
+        this.render();
+      };
+      tr.appendChild(th);
+    }
+    this.thead.appendChild(tr);
+
+    const type = this.typeSelect.value;
+    const needle = this.filterInput.value.trim().toLowerCase();
+    let rows = memory.records
+      .filter(rec => matchesType(rec, type) && (!needle || rec.text.toLowerCase().includes(needle)))
+      .map(rec => ({ rec, s: this.scores?.get(rec) }));
+    const col = cols.find(c => c.key === this.sort.key) ?? cols[0];
+    const dir = this.sort.dir;
+    rows.sort((a, b) => {
+      const va = col.value(a);
+      const vb = col.value(b);
+      return (va < vb ? -1 : va > vb ? 1 : 0) * dir;
+    });
+    const total = rows.length;
+    rows = rows.slice(0, MAX_ROWS);
+
+    this.tbody.innerHTML = "";
+    let focusRow = null;
+    for (const r of rows) {
+      const row = document.createElement("tr");
+      if (r.rec.injected) row.classList.add("injected");
+      if (r.rec.id === this.focusId) {
+        row.classList.add("focus");
+        focusRow = row;
+      }
+      for (const c of cols) {
+        const td = document.createElement("td");
+        if (c.cell) {
+          td.textContent = c.cell(r);
+          if (c.raw && r.s) td.title = `raw ${num(r.s.raw[c.raw])} × weight ${r.s.weights[c.raw]}`;
+        } else {
+          td.className = "text";
+          td.textContent = memoryText(r.rec);
+          const src = r.rec.source;
+          if (src) td.title = `heard at ${src.place || "?"}` + (src.conversationId ? ` (conversation ${src.conversationId})` : "");
+          if (r.rec.injected) td.title = "injected by the user (intervention)";
+          this._appendEvidence(td, memory, r.rec);
+        }
+        row.appendChild(td);
+      }
+      this.tbody.appendChild(row);
+    }
+
+    const shown = total > rows.length ? `showing ${rows.length} of ${total}` : `${total}`;
+    this.statusEl.textContent = `${shown} / ${memory.records.length} memories`
+      + (this.query ? ` · scored for "${this.query}"` : "");
+    return focusRow;
+  }
+
+  _appendEvidence(td, memory, rec) {
+    if (!rec.evidenceIds?.length) return;
+    const box = document.createElement("div");
+    box.className = "muted";
+    box.textContent = "evidence: ";
+    for (const id of rec.evidenceIds) {
+      const src = memory.get(id);
+      const link = document.createElement("a");
+      link.href = "#";
+      link.textContent = src ? (src.text.length > 40 ? src.text.slice(0, 40) + "…" : src.text) : "(forgotten)";
+      link.title = src ? memoryText(src) : "this memory was evicted";
+      link.style.marginRight = "8px";
+      link.onclick = (e) => {
+        e.preventDefault();
+        if (!src) return;
+        this.focus(src.id);
+      };
+      box.appendChild(link);
+    }
+    td.appendChild(box);
+  }
+
+  // Highlights one record, clearing filters that would hide it.
+  focus(id) {
+    this.focusId = id;
+    const rec = this.agent?.memory.get(id);
+    if (rec && !matchesType(rec, this.typeSelect.value)) this.typeSelect.value = "";
+    if (rec && this.filterInput.value && !rec.text.toLowerCase().includes(this.filterInput.value.trim().toLowerCase())) {
+      this.filterInput.value = "";
+    }
+    this.render()?.scrollIntoView({ block: "nearest" });
+  }
+}
@@ -0,0 +1,54 @@
+// Interviews: the user asks an agent questions, as in the paper's believability evaluation
+// ("Who are you voting for?", "Are you going to the party?"). Each answer is grounded in the
+// memories retrieved for the question, and those are kept with the turn so the UI can show them.
+//
+// Read-only: retrieval doesn't count as an access (touch: false) and nothing is stored, unless
+// the user keeps an answer (Agent.rememberInterview).
+
+import { buildInterviewPrompt } from "./prompts.js";
+
+const MEMORIES_PER_ANSWER = 8; // as many as an action decision sees
+// earlier Q&A pairs sent along, so follow-up questions work
+const HISTORY_TURNS = 4;
+
+export class Interview {
+  constructor(agent) {
+    this.agent = agent;
+    this.turns = []; // [{ question, answer, memories: [scored], time, pending, kept }]
+  }
+
+  // onUpdate(turn): called as the answer streams in.
+  async ask(llm, question, now, { signal = null, onUpdate = null } = {}) {
+    const m = this.agent.memory;
+    const queryVector = m.relevance === "embedding" ? await m.embedQuery(question) : null;
+    const memories = m.retrieve(question, now, MEMORIES_PER_ANSWER, { queryVector, touch: false });
+    const history = this.turns.filter(t => !t.pending).slice(-HISTORY_TURNS);
+
+    const turn = { question, answer: "", memories, time: now, pending: true, kept: false };
+    this.turns.push(turn);
+    onUpdate?.(turn);
+    try {
+      const answer = await llm.chat({
+        messages: buildInterviewPrompt(this.agent, now, history, question, memories),
+        temperature: 0.5, max_tokens: 256, signal,
+        onToken: (delta, text) => {
+          turn.answer = text;
+          onUpdate?.(turn);
+        },
+        // PRIORITY.interview: answered ahead of the simulation's queued calls
+        meta: { kind: "interview", agent: this.agent.id },
+      });
+      turn.answer = answer.trim();
+    } catch (e) {
+      this.turns.splice(this.turns.indexOf(turn), 1);
+      throw e;
+    } finally {
+      turn.pending = false;
+    }
+    return turn;
+  }
+
+  clear() {
+    this.turns = this.turns.filter(t => t.pending);
+  }
+}
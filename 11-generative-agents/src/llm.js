@@ -1,52 +1,207 @@
-// LLM wrapper for WebLLM (single engine).
-// Provides a small queue so multiple agent calls are serialized.
+// LLM wrapper around a pluggable backend ("provider", see providers.js).
+// Calls go through a prioritized queue (scheduler.js) so agent calls are serialized.
+// Calls can stream (onToken callback) and be cancelled (AbortSignal), both while waiting
+// in the queue and mid-generation; a cancelled call never blocks the ones behind it.
 //
-// WebLLM has OpenAI-compatible chat.completions API.
+// Providers speak an OpenAI-compatible chat.completions API (WebLLM, llama.cpp, Ollama, ...).
 // Docs: https://webllm.mlc.ai/docs/user/basic_usage.html
 
+import { validateSchema } from "./schema.js";
+import { Telemetry, estimateTokens } from "./telemetry.js";
+import { cacheKey } from "./cache.js";
+import { PRIORITY, RequestQueue } from "./scheduler.js";
+import { isAbortError, streamChunks } from "./util.js";
+
+// Appended to the last user message when the backend has no JSON mode.
+const JSON_ONLY_INSTRUCTION =
+  "\n\nReply with a single JSON object only. No markdown, no code fences, no text before or after the JSON.";
+
 export class LLMClient {
-  constructor(engine) {
-    this.engine = engine;
-    this._queue = Promise.resolve();
+  // repairAttempts: how many times chatJSON re-prompts with validation errors before giving up.
+  // cache: optional ResponseCache (see cache.js); consulted according to its mode.
+  // timeoutMs: default per-request time limit once a call starts running (0 = none).
+  constructor(provider, { repairAttempts = 2, cache = null, timeoutMs = 120000 } = {}) {
+    this.provider = provider;
+    this.repairAttempts = repairAttempts;
+    this.cache = cache;
+    this.telemetry = new Telemetry();
+    this.queue = new RequestQueue({ timeoutMs });
+  }
+
+  get modelId() {
+    return this.provider?.modelId ?? "";
   }
 
-  async chat({ messages, temperature = 0.7, max_tokens = 256, response_format = undefined }) {
-    const task = async () => {
+  // onToken(delta, textSoFar): stream tokens as they are generated.
+  // signal: AbortSignal; the returned promise rejects with an AbortError when it fires.
+  // meta: { kind, agent } for telemetry (what the prompt is for, who asked).
+  // priority: queue priority (lower first); defaults from meta.kind, see PRIORITY.
+  // timeoutMs: overrides the client's default time limit for this call.
+  async chat(opts) {
+    const { content } = await this._call(opts);
+    return content;
+  }
+
+  // Like chat(), but also returns the telemetry entry so callers can annotate it.
+  async _call({
+    messages, temperature = 0.7, max_tokens = 256, response_format = undefined,
+    onToken = null, signal = null, meta = {}, priority = undefined, timeoutMs = undefined,
+  }) {
+    const kind = meta.kind ?? "chat";
+    // runSignal fires on the caller's cancel *or* on timeout (see RequestQueue).
+    const task = async (runSignal) => {
       const req = { messages, temperature, max_tokens };
       if (response_format) req.response_format = response_format;
 
-      const resp = await this.engine.chat.completions.create(req);
-      const content = resp?.choices?.[0]?.message?.content ?? "";
-      return content;
+      const t0 = performance.now();
+      const entry = { kind, agent: meta.agent ?? null, json: null, cached: false };
+      try {
+        // Record/replay providers bypass the cache: a hit would leave the request off the cassette
+        // or answer it out of the recorded order, and a replay's answers (fallback ones included)
+        // would be stored under the recorded model's id.
+        const key = this.cache && this.cache.mode !== "off" && !this.provider.cassette
+          ? cacheKey({ modelId: this.modelId, messages, temperature, response_format })
+          : null;
+
+        const hit = key ? await this._cacheGet(key) : null;
+        if (hit) {
+          if (onToken) await streamChunks(hit.content, onToken, runSignal);
+          // A hit costs no inference, so it adds no tokens to the totals.
+          const recorded = this.telemetry.record({
+            ...entry,
+            cached: true,
+            status: "ok",
+            latencyMs: performance.now() - t0,
+            promptTokens: 0,
+            completionTokens: 0,
+            estimated: false,
+          });
+          return { content: hit.content, entry: recorded };
+        }
+
+        const resp = await this.provider.complete(req, { onToken, signal: runSignal });
+        const content = resp?.content ?? "";
+        const usage = resp?.usage;
+        const recorded = this.telemetry.record({
+          ...entry,
+          status: "ok",
+          latencyMs: performance.now() - t0,
+          promptTokens: usage?.prompt_tokens ?? estimateTokens(messages.map(m => m.content).join("\n")),
+          completionTokens: usage?.completion_tokens ?? estimateTokens(content),
+          estimated: !usage,
+        });
+        if (key) await this._cachePut(key, { content, usage });
+        return { content, entry: recorded };
+      } catch (e) {
+        this.telemetry.record({
+          ...entry,
+          status: isAbortError(e) ? "aborted" : e?.name === "TimeoutError" ? "timeout" : "error",
+          latencyMs: performance.now() - t0,
+          promptTokens: 0,
+          completionTokens: 0,
+          estimated: true,
+        });
+        throw e;
+      }
     };
 
     // serialize to avoid overlapping WebGPU work
-    this._queue = this._queue.then(task, task);
-    return this._queue;
+    return this.queue.enqueue(task, {
+      priority: priority ?? PRIORITY[kind] ?? PRIORITY.action,
+      signal,
+      timeoutMs,
+      label: meta.agent ? `${kind}:${meta.agent}` : kind,
+    });
+  }
+
+  // Cache failures (e.g. IndexedDB unavailable in private mode) never fail the call.
+  async _cacheGet(key) {
+    try { return await this.cache.get(key); } catch (e) { console.warn("LLM cache read failed:", e); return null; }
   }
 
-  async chatJSON({ messages, schemaObj, temperature = 0.2, max_tokens = 384 }) {
-    // WebLLM JSON mode: response_format {type:"json_object", schema?: "<json schema string>"}
+  async _cachePut(key, resp) {
+    try { await this.cache.put(key, resp); } catch (e) { console.warn("LLM cache write failed:", e); }
+  }
+
+  // Returns a structured result:
+  //   { value, status, attempts, errors, raw }
+  //   status "valid":    first answer parsed and matched schemaObj
+  //   status "repaired": a re-prompt with the validation errors fixed it
+  //   status "fallback": still invalid after all attempts; value is null, the caller
+  //                      uses its own default (errors/raw describe the last answer)
+  async chatJSON({
+    messages, schemaObj, temperature = 0.2, max_tokens = 384, onToken = null, signal = null,
+    meta = {}, priority = undefined, timeoutMs = undefined, repairAttempts = this.repairAttempts,
+  }) {
+    // JSON mode: response_format {type:"json_object", schema?}; the provider adapts it to its backend.
     // We still instruct the model to output JSON explicitly in the prompt.
-    const schema = schemaObj ? JSON.stringify(schemaObj) : undefined;
-    const response_format = schema
-      ? { type: "json_object", schema }
+    let response_format = schemaObj
+      ? { type: "json_object", schema: schemaObj }
       : { type: "json_object" };
 
-    const txt = await this.chat({ messages, temperature, max_tokens, response_format });
-
-    try {
-      return JSON.parse(txt);
-    } catch (e) {
-      // fallback: try extracting {...}
-      const start = txt.indexOf("{");
-      const end = txt.lastIndexOf("}");
-      if (start >= 0 && end > start) {
-        const slice = txt.slice(start, end + 1);
-        try { return JSON.parse(slice); } catch (_) {}
+    if (!this.provider.supportsJSONMode) {
+      // prompt-only fallback: no response_format, stronger instruction instead
+      response_format = undefined;
+      messages = withJSONInstruction(messages);
+    }
+
+    let errors = [];
+    let raw = "";
+    for (let attempt = 1; attempt <= 1 + repairAttempts; attempt++) {
+      const call = await this._call({ messages, temperature, max_tokens, response_format, onToken, signal, meta, priority, timeoutMs });
+      raw = call.content;
+      const obj = parseJSONLoose(raw);
+      errors = obj == null ? ["reply is not valid JSON"] : validateSchema(schemaObj, obj);
+      call.entry.json = errors.length ? "invalid" : "ok";
+
+      if (!errors.length) {
+        return { value: obj, status: attempt === 1 ? "valid" : "repaired", attempts: attempt, errors: [], raw };
       }
-      console.warn("JSON parse failed:", txt);
-      return null;
+
+      // Self-repair: show the model its answer and what was wrong with it.
+      messages = [
+        ...messages,
+        { role: "assistant", content: raw },
+        { role: "user", content: buildRepairMessage(errors) },
+      ];
+    }
+
+    console.warn("JSON output invalid after repairs:", errors, raw);
+    return { value: null, status: "fallback", attempts: 1 + repairAttempts, errors, raw };
+  }
+}
+
+function buildRepairMessage(errors) {
+  const list = errors.slice(0, 8).map(e => `- ${e}`).join("\n");
+  return `Your previous reply did not match the required JSON schema:
+${list}
+
+Reply again with the corrected JSON object only (no markdown, no explanation).`;
+}
+
+function withJSONInstruction(messages) {
+  const out = messages.map(m => ({ ...m }));
+  for (let i = out.length - 1; i >= 0; i--) {
+    if (out[i].role === "user") {
+      out[i].content += JSON_ONLY_INSTRUCTION;
+      return out;
+    }
+  }
+  out.push({ role: "user", content: JSON_ONLY_INSTRUCTION.trim() });
+  return out;
+}
+
+function parseJSONLoose(txt) {
+  try {
+    return JSON.parse(txt);
+  } catch (e) {
+    // fallback: try extracting {...} (also strips ```json fences some models add)
+    const start = txt.indexOf("{");
+    const end = txt.lastIndexOf("}");
+    if (start >= 0 && end > start) {
+      const slice = txt.slice(start, end + 1);
+      try { return JSON.parse(slice); } catch (_) {}
     }
+    return null;
   }
 }
@@ -1,9 +1,23 @@
 // Memory stream (simplified).
 // - Each memory is a natural language sentence + timestamp + importance score.
 // - Retrieval score = relevance + recency + importance (in the paper, they combine these signals).
-//   We approximate relevance with TF-IDF cosine similarity (instead of embedding vectors).
+//   Optionally (scoring.mode "normalized") each component is min-max normalized across the
+//   candidate set and weighted, as in the paper: score = a_rel*rel + a_rec*rec + a_imp*imp.
+//   By default we approximate relevance with TF-IDF cosine similarity (instead of embedding vectors);
+//   with an embedder set (see embedding.js) each record also stores a vector and relevance can be
+//   vector cosine, as in the paper.
+// - TF-IDF retrieval uses an inverted index (token -> records) so a query only touches records
+//   that share a token with it, and cached per-record norms that are updated incrementally as
+//   add() changes document frequencies (see bench/retrieval.html).
+// - Recency is measured from a memory's last access (creation or being retrieved), as in the paper,
+//   so memories that keep coming up stay fresh.
+// - Forgetting: old, unimportant, rarely retrieved memories can be folded into digest memories
+//   or evicted (see DEFAULT_COMPACTION and Agent.maybeCompact).
+// - Near-duplicates of recent memories ("Klaus is at the library", every tick) are merged into
+//   the earlier record, which then spans a time range with an occurrence count (see DEFAULT_DEDUPE).
 
-import { uniq } from "./util.js";
+import { cosineDense } from "./embedding.js";
+import { formatSimTime } from "./util.js";
 
 const STOPWORDS = new Set([
   "the","a","an","and","or","to","of","in","on","for","with","at","from","by","as","is","are","was","were","be",
@@ -25,30 +39,97 @@ function tokenize(text) {
   return raw.filter(t => t && !STOPWORDS.has(t) && t.length >= 2);
 }
 
-function cosineSparse(vecA, vecB) {
-  // vec: Map token->weight
-  let dot = 0;
-  let normA = 0;
-  let normB = 0;
+// Retrieval scoring options.
+//   mode:    "sum"        raw components added (weighted); recency tends to dominate
+//            "normalized" min-max normalize each component over the candidates first (paper)
+//   weights: alpha coefficients per component
+//   decay:   recency = decay ^ hours since the memory
+export const DEFAULT_SCORING = {
+  mode: "sum",
+  weights: { relevance: 1, recency: 1, importance: 1 },
+  decay: 0.99,
+};
 
-  for (const [k, wa] of vecA) {
-    normA += wa * wa;
-    const wb = vecB.get(k);
-    if (wb != null) dot += wa * wb;
+// Compaction (forgetting) policy.
+//   mode:          "off" | "digest" (summarize a batch with an LLM call) | "evict" (drop it)
+//   maxRecords:    compact only while the stream holds more records than this
+//   minAgeHours:   candidates were last accessed at least this long ago...
+//   maxImportance: ...have at most this importance...
+//   maxAccesses:   ...and were retrieved at most this many times
+//   types:         memory types that may be compacted (reflections, digests and injected memories are kept)
+//   batchSize:     memories folded into one digest
+export const DEFAULT_COMPACTION = {
+  mode: "off",
+  maxRecords: 200,
+  minAgeHours: 3,
+  maxImportance: 3,
+  maxAccesses: 1,
+  types: ["observation", "action", "heard"],
+  batchSize: 12,
+};
+
+// Memory types a user may inject into an agent (Agent.injectMemory); "thought" is the paper's
+// inner voice ("You are going to run for mayor").
+export const INJECTABLE_TYPES = ["thought", "observation", "reflection", "conversation"];
+
+// Near-duplicate merging in add().
+//   threshold: Jaccard similarity of token sets at/above which two memories are the same (0 = off)
+//   window:    how many of the most recent records to compare against
+//   types:     memory types that may be merged
+export const DEFAULT_DEDUPE = {
+  threshold: 0.8,
+  window: 20,
+  types: ["observation", "action", "heard"],
+};
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared += 1;
+  return shared / (a.size + b.size - shared);
+}
+
+function minMaxNormalize(values) {
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const v of values) {
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
   }
-  for (const [, wb] of vecB) normB += wb * wb;
+  // All equal: no information in this component; use the middle of the range (as the paper's code does).
+  for (let i = 0; i < values.length; i++) values[i] = hi > lo ? (values[i] - lo) / (hi - lo) : 0.5;
+}
+
+// Memory text, with the time span of merged duplicates: "Stayed at Hobbs Cafe (×4, 09:10-09:40)".
+export function memoryText(rec) {
+  if (rec.count <= 1) return rec.text;
+  return `${rec.text} (×${rec.count}, ${formatSimTime(rec.time).slice(11)}-${formatSimTime(rec.timeEnd).slice(11)})`;
+}
 
-  if (normA === 0 || normB === 0) return 0;
-  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+// One line per retrieved memory, with the per-component breakdown (for the UI / debugging).
+export function describeScored(s) {
+  const w = s.weights;
+  return `[score:${s.score.toFixed(2)} = rel ${s.relevance.toFixed(2)}×${w.relevance}`
+    + ` + rec ${s.recency.toFixed(2)}×${w.recency} + imp ${s.importance.toFixed(2)}×${w.importance}] ${memoryText(s.rec)}`;
 }
 
 export class MemoryRecord {
-  constructor({ id, time, text, importance = 3, type = "observation" }) {
+  constructor({ id, time, text, importance = 3, type = "observation", evidenceIds = [], source = null, injected = false }) {
     this.id = id;
     this.time = time; // Date
     this.text = text;
     this.importance = importance; // 1..10
     this.type = type;
+    this.evidenceIds = evidenceIds; // reflections: ids of the memories they were inferred from
+    this.source = source; // heard lines: { speaker, place, conversationId } (see Agent.hear)
+    this.injected = injected; // written by the user, not the simulation (see Agent.injectMemory)
+
+    this.embedding = null; // Float32Array, set by MemoryStream when it has an embedder
+
+    this.timeEnd = time; // Date of the last merged occurrence (== time unless count > 1)
+    this.count = 1; // occurrences merged into this record
+    this.lastAccessed = time; // Date; recency is measured from here
+    this.accessCount = 0; // times returned by retrieve()
 
     this.tokens = tokenize(text);
     this.tf = new Map(); // token -> tf
@@ -57,57 +138,353 @@ export class MemoryRecord {
 }
 
 export class MemoryStream {
-  constructor() {
+  // embedder: optional (see embedding.js); relevance: "tfidf" | "embedding" (default for retrieve()).
+  constructor({ embedder = null, relevance = "tfidf" } = {}) {
     this.records = [];
+    this._byId = new Map(); // id -> record (a compacted memory's id maps to its digest)
     this._df = new Map(); // token -> doc frequency
+    this._postings = new Map(); // token -> Map(record -> tf)
+    // record -> { s0, s1, s2 }: parts of the TF-IDF norm, see _norm()
+    this._normParts = new Map();
+    this._normDF = new Map(); // token -> df that its records' norm parts reflect
+    this._dirty = new Set(); // tokens whose df changed since the last _flush()
+    this.embedder = embedder;
+    this.relevance = relevance;
+    this.scoring = structuredClone(DEFAULT_SCORING);
+    this.compaction = structuredClone(DEFAULT_COMPACTION);
+    this.compactionStats = { digests: 0, folded: 0, evicted: 0 };
+    this.dedupe = structuredClone(DEFAULT_DEDUPE);
+    this.mergeStats = { merged: 0 }; // add() calls folded into an existing record
+    this._pending = new Set(); // in-flight async embeddings
   }
 
+  // Returns the record that now holds the memory: `record`, or the earlier near-duplicate it was merged into.
   add(record) {
+    const dup = this._findDuplicate(record);
+    if (dup) {
+      this._merge(dup, record);
+      return dup;
+    }
     this.records.push(record);
-    const unique = uniq(record.tokens);
-    for (const t of unique) this._df.set(t, (this._df.get(t) ?? 0) + 1);
+    this._byId.set(record.id, record);
+    this._index(record);
+    if (this.embedder) this._embed(record);
+    return record;
+  }
+
+  _findDuplicate(record) {
+    const { threshold, window, types } = this.dedupe;
+    // injected memories stay separate records, so interventions remain visible
+    if (!(threshold > 0) || !types.includes(record.type) || record.injected) return null;
+    const tokens = new Set(record.tokens);
+    let best = null;
+    let bestSim = threshold;
+    for (let i = this.records.length - 1; i >= Math.max(0, this.records.length - window); i--) {
+      const r = this.records[i];
+      // heard lines keep their attribution: only the same speaker's lines merge
+      if (r.type !== record.type || r.injected || r.source?.speaker !== record.source?.speaker) continue;
+      const sim = jaccard(tokens, new Set(r.tokens));
+      if (sim >= bestSim) {
+        best = r;
+        bestSim = sim;
+      }
+    }
+    return best;
+  }
+
+  // The earlier record keeps its text (and index entries); it now spans up to the new occurrence
+  // and moves to the end, since it was just observed again.
+  _merge(target, record) {
+    target.count += 1;
+    if (record.time > target.timeEnd) target.timeEnd = record.time;
+    if (record.time > target.lastAccessed) target.lastAccessed = record.time;
+    target.importance = Math.max(target.importance, record.importance);
+    this.records.splice(this.records.indexOf(target), 1);
+    this.records.push(target);
+    this._byId.set(record.id, target);
+    this.mergeStats.merged += 1;
+  }
+
+  // null if unknown or evicted; for a memory folded into a digest, the digest.
+  get(id) {
+    return this._byId.get(id) ?? null;
+  }
+
+  // Oldest memories that the compaction policy allows to forget now ([] if none / not needed).
+  compactionCandidates(now, policy = this.compaction) {
+    if (policy.mode === "off" || this.records.length <= policy.maxRecords) return [];
+    const cutoff = now.getTime() - policy.minAgeHours * 3600000;
+    const batch = [];
+    for (const r of this.records) {
+      if (batch.length >= policy.batchSize) break;
+      if (!policy.types.includes(r.type) || r.injected) continue;
+      if (r.importance > policy.maxImportance || r.accessCount > policy.maxAccesses) continue;
+      if (r.lastAccessed.getTime() > cutoff) continue;
+      batch.push(r);
+    }
+    // wait for at least half a batch so digests don't come out one memory at a time
+    return batch.length >= Math.max(2, Math.ceil(policy.batchSize / 2)) ? batch : [];
+  }
+
+  // Removes `records`; with a `digest` record, it takes the place of the earliest one
+  // and inherits their access history.
+  compact(records, digest = null) {
+    const drop = new Set(records);
+    const at = this.records.findIndex(r => drop.has(r));
+    if (at < 0) return;
+    this.records = this.records.filter(r => !drop.has(r));
+    for (const r of drop) this._unindex(r);
+    // every id that leads to a dropped record: its own, and those of the duplicates merged into it
+    for (const [id, r] of this._byId) {
+      if (!drop.has(r)) continue;
+      if (digest) this._byId.set(id, digest);
+      else this._byId.delete(id);
+    }
+
+    if (digest) {
+      digest.lastAccessed = new Date(Math.max(...records.map(r => r.lastAccessed.getTime())));
+      digest.accessCount = records.reduce((n, r) => n + r.accessCount, 0);
+      this.records.splice(at, 0, digest);
+      this._byId.set(digest.id, digest);
+      this._index(digest);
+      if (this.embedder) this._embed(digest);
+      this.compactionStats.digests += 1;
+      this.compactionStats.folded += drop.size;
+    } else {
+      this.compactionStats.evicted += drop.size;
+    }
+  }
+
+  // ---- TF-IDF index ----
+  //
+  // idf(t) = log((N+1)/(df_t+1)) + 1 = L - a_t, with L = log(N+1) + 1 and a_t = log(df_t+1).
+  // A record's squared norm is  sum_t (tf_t * idf_t)^2 = L^2*s0 - 2L*s1 + s2  where
+  //   s0 = sum tf^2,  s1 = sum tf^2 * a_t,  s2 = sum tf^2 * a_t^2.
+  // N only enters through L, so growing the stream changes nothing stored; when df_t changes,
+  // only the records that contain t (its posting list) need their s1/s2 adjusted.
+  // add() just marks t dirty; the adjustment is applied once per token before the next query,
+  // so a burst of adds costs one pass over each touched posting list, not one per add.
+
+  _index(record) {
+    let s0 = 0, s1 = 0, s2 = 0;
+    for (const [t, tf] of record.tf) {
+      let posting = this._postings.get(t);
+      if (!posting) {
+        this._postings.set(t, (posting = new Map()));
+        this._normDF.set(t, 0);
+      }
+      posting.set(record, tf);
+      this._df.set(t, (this._df.get(t) ?? 0) + 1);
+      this._dirty.add(t);
+
+      // parts at the df the posting list currently reflects; _flush() brings them up to date
+      const a = Math.log(this._normDF.get(t) + 1);
+      const w = tf * tf;
+      s0 += w;
+      s1 += w * a;
+      s2 += w * a * a;
+    }
+    this._normParts.set(record, { s0, s1, s2 });
+  }
+
+  _unindex(record) {
+    for (const t of record.tf.keys()) {
+      const posting = this._postings.get(t);
+      posting.delete(record);
+      const df = this._df.get(t) - 1;
+      if (df > 0) {
+        this._df.set(t, df);
+        this._dirty.add(t);
+      } else {
+        this._df.delete(t);
+        this._postings.delete(t);
+        this._normDF.delete(t);
+        this._dirty.delete(t);
+      }
+    }
+    this._normParts.delete(record);
+  }
+
+  _flush() {
+    for (const t of this._dirty) {
+      this._shiftDF(this._postings.get(t), this._normDF.get(t), this._df.get(t));
+      this._normDF.set(t, this._df.get(t));
+    }
+    this._dirty.clear();
+  }
+
+  // df of one token went from -> to: adjust the norm parts of every record containing it.
+  _shiftDF(posting, from, to) {
+    const a0 = Math.log(from + 1);
+    const a1 = Math.log(to + 1);
+    const d1 = a1 - a0;
+    const d2 = a1 * a1 - a0 * a0;
+    for (const [rec, tf] of posting) {
+      const p = this._normParts.get(rec);
+      const w = tf * tf;
+      p.s1 += w * d1;
+      p.s2 += w * d2;
+    }
   }
 
-  _idf(token) {
+  _idfBase() {
     const N = this.records.length || 1;
-    const df = this._df.get(token) ?? 0;
-    // smooth IDF
-    return Math.log((N + 1) / (df + 1)) + 1;
+    return Math.log(N + 1) + 1;
   }
 
-  _tfidf(tfMap) {
-    const out = new Map();
-    for (const [t, tf] of tfMap) out.set(t, tf * this._idf(t));
-    return out;
+  _norm(record, L) {
+    const p = this._normParts.get(record);
+    return Math.sqrt(Math.max(0, L * L * p.s0 - 2 * L * p.s1 + p.s2));
   }
 
-  retrieve(query, now, k = 8, { types = null } = {}) {
-    const qTokens = tokenize(query);
+  // cosine(TF-IDF(query), TF-IDF(memory)) for every record sharing a token with the query.
+  // -> Map(record -> relevance); records not in the map have relevance 0.
+  _tfidfRelevance(query) {
     const qTF = new Map();
-    for (const t of qTokens) qTF.set(t, (qTF.get(t) ?? 0) + 1);
-    const qVec = this._tfidf(qTF);
+    for (const t of tokenize(query)) qTF.set(t, (qTF.get(t) ?? 0) + 1);
+    this._flush();
+
+    const L = this._idfBase();
+    let qNorm2 = 0;
+    const dots = new Map();
+    for (const [t, qtf] of qTF) {
+      const idf = L - Math.log((this._df.get(t) ?? 0) + 1);
+      const wq = qtf * idf;
+      qNorm2 += wq * wq;
+      const posting = this._postings.get(t);
+      if (!posting) continue;
+      for (const [rec, tf] of posting) dots.set(rec, (dots.get(rec) ?? 0) + wq * tf * idf);
+    }
+
+    const qNorm = Math.sqrt(qNorm2);
+    for (const [rec, dot] of dots) {
+      const mNorm = this._norm(rec, L);
+      dots.set(rec, qNorm > 0 && mNorm > 0 ? dot / (qNorm * mNorm) : 0);
+    }
+    return dots;
+  }
+
+  _embed(record) {
+    const embedder = this.embedder;
+    const out = embedder.embed(record.text);
+    if (!(out instanceof Promise)) {
+      record.embedding = out;
+      return;
+    }
+    // Async (model) embedders: the record has no vector until this resolves (relevance 0 meanwhile).
+    const p = out
+      .then((vec) => { if (this.embedder === embedder) record.embedding = vec; })
+      .catch((e) => console.warn("embedding failed:", e))
+      .finally(() => this._pending.delete(p));
+    this._pending.add(p);
+  }
 
-    const scored = [];
+  // Switch embedder; every stored record is re-embedded.
+  setEmbedder(embedder) {
+    this.embedder = embedder;
     for (const rec of this.records) {
-      if (types && !types.includes(rec.type)) continue;
+      rec.embedding = null;
+      if (embedder) this._embed(rec);
+    }
+  }
+
+  // Resolves once all pending (async) record embeddings are in.
+  async ready() {
+    while (this._pending.size) await Promise.all([...this._pending]);
+  }
+
+  // Query vector for retrieve({ queryVector }); null without an embedder.
+  async embedQuery(text) {
+    if (!this.embedder) return null;
+    await this.ready();
+    return this.embedder.embed(text);
+  }
+
+  // Counts an access of these records (refreshes their recency), as retrieve() does by default.
+  // For callers that retrieve with touch: false and commit the access later (Agent.step).
+  touch(records, now) {
+    for (const r of records) {
+      r.lastAccessed = now;
+      r.accessCount += 1;
+    }
+  }
+
+  // relevance: "tfidf" | "embedding" (defaults to this.relevance). Embedding relevance needs a
+  // query vector: pass `queryVector` (see embedQuery) or use a synchronous embedder.
+  // scoring: overrides this.scoring (see DEFAULT_SCORING).
+  // touch: count this as an access of the returned memories (refreshes their recency); pass
+  //   false for read-only lookups such as UI views (or to touch() them later).
+  // Each result: { rec, score, relevance, recency, importance, raw, weights }, where the three
+  // components are the (possibly normalized) values that went into `score` and `raw` the unnormalized ones.
+  retrieve(query, now, k = 8, { types = null, relevance = this.relevance, queryVector = null, scoring = this.scoring, touch = true } = {}) {
+    let useEmbedding = relevance === "embedding" && this.embedder != null;
+    if (useEmbedding && !queryVector) {
+      const v = this.embedder.embed(query);
+      if (v instanceof Promise) useEmbedding = false; // can't wait here; fall back to TF-IDF
+      else queryVector = v;
+    }
+
+    // Pre-filter by type; only records sharing a token with the query get a TF-IDF score.
+    const candidates = types ? this.records.filter(r => types.includes(r.type)) : this.records;
+    const n = candidates.length;
+    if (!n || k <= 0) return [];
+    const tfidf = useEmbedding ? null : this._tfidfRelevance(query);
 
-      // relevance: cosine(TF-IDF(query), TF-IDF(memory))
-      const mVec = this._tfidf(rec.tf);
-      const relevance = cosineSparse(qVec, mVec);
+    const relv = new Float64Array(n);
+    const recv = new Float64Array(n);
+    const impv = new Float64Array(n);
+    const nowMs = now.getTime();
+    for (let i = 0; i < n; i++) {
+      const r = candidates[i];
+      // relevance: cosine(embedding(query), embedding(memory)) or cosine(TF-IDF(query), TF-IDF(memory))
+      relv[i] = useEmbedding
+        ? Math.max(0, cosineDense(queryVector, r.embedding))
+        : (tfidf.get(r) ?? 0);
 
-      // recency: exp decay by hours (paper uses 0.99^Δt hours)
-      const hours = Math.max(0, (now.getTime() - rec.time.getTime()) / 3600000);
-      const recency = Math.pow(0.99, hours);
+      // recency: exp decay by hours since last access (decay^Δt hours; 0.99 by default)
+      const hours = Math.max(0, (nowMs - r.lastAccessed.getTime()) / 3600000);
+      recv[i] = Math.pow(scoring.decay, hours);
 
       // importance normalized 0..1
-      const importance = Math.max(1, Math.min(10, rec.importance)) / 10;
+      impv[i] = Math.max(1, Math.min(10, r.importance)) / 10;
+    }
+
+    // keep the unnormalized components for display
+    const normalized = scoring.mode === "normalized";
+    const raw = normalized
+      ? { rel: relv.slice(), rec: recv.slice(), imp: impv.slice() }
+      : { rel: relv, rec: recv, imp: impv };
+    if (normalized) {
+      minMaxNormalize(relv);
+      minMaxNormalize(recv);
+      minMaxNormalize(impv);
+    }
 
-      const score = relevance + recency + importance;
-      scored.push({ rec, score, relevance, recency, importance });
+    // Top-k by score (ties keep insertion order, like a stable sort).
+    const w = scoring.weights;
+    const score = new Float64Array(n);
+    const top = [];
+    for (let i = 0; i < n; i++) {
+      const sc = w.relevance * relv[i] + w.recency * recv[i] + w.importance * impv[i];
+      score[i] = sc;
+      if (top.length === k && sc <= score[top[k - 1]]) continue;
+      let j = top.length;
+      while (j > 0 && score[top[j - 1]] < sc) j--;
+      top.splice(j, 0, i);
+      if (top.length > k) top.pop();
     }
 
-    scored.sort((a,b) => b.score - a.score);
-    return scored.slice(0, k);
+    if (touch) this.touch(top.map(i => candidates[i]), now);
+
+    return top.map(i => ({
+      rec: candidates[i],
+      score: score[i],
+      relevance: relv[i],
+      recency: recv[i],
+      importance: impv[i],
+      raw: { relevance: raw.rel[i], recency: raw.rec[i], importance: raw.imp[i] },
+      weights: w,
+    }));
   }
 
   recent(n = 10) {
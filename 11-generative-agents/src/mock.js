@@ -0,0 +1,367 @@
+// Scripted (mock) LLM backend: answers from rules instead of a model.
+// Useful for exercising Agent.step / makeDailyPlan / maybeReflect offline, with no GPU.
+//
+// A rule is { match, respond }:
+//   match:   RegExp | string (tested against the last user message) | (req) => boolean
+//   respond: string | object (sent as JSON) | (req, ctx) => string | object
+// ctx = { rand, prompt, hash }, where rand() is a PRNG seeded by the request hash,
+// so the same request always gets the same answer.
+//
+// Fixture files are JSON: { "rules": [ { "match": "<regex>", "respond": "<text>" | {...} }, ... ] }
+// Fixture rules are tried first; the built-in rules below cover every prompt in prompts.js.
+
+import { requestHash } from "./cassette.js";
+import { fromMinutes, seededRandom, streamChunks, toMinutes, uniq } from "./util.js";
+
+function lastUserContent(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === "user") return messages[i].content ?? "";
+  }
+  return "";
+}
+
+function lineAfter(prompt, label) {
+  const i = prompt.indexOf(label);
+  if (i < 0) return "";
+  const rest = prompt.slice(i + label.length);
+  return rest.split("\n")[0].trim();
+}
+
+function listAfter(prompt, label) {
+  const line = lineAfter(prompt, label).replace(/\)\s*$/, "");
+  return line ? line.split(",").map(s => s.trim()).filter(Boolean) : [];
+}
+
+function sectionAfter(prompt, label) {
+  // lines following `label` up to the next blank line
+  const i = prompt.indexOf(label);
+  if (i < 0) return [];
+  const lines = prompt.slice(i + label.length).split("\n").slice(1);
+  const end = lines.findIndex(l => !l.trim());
+  return end < 0 ? lines : lines.slice(0, end);
+}
+
+function pick(rand, arr) {
+  return arr[Math.floor(rand() * arr.length)];
+}
+
+// Minimal instance that satisfies a (simple) JSON schema. Used when no rule matches a JSON request.
+export function exampleFromSchema(schema) {
+  if (!schema) return {};
+  if (schema.enum) return schema.enum[0];
+  switch (schema.type) {
+    case "object": {
+      const out = {};
+      for (const k of schema.required ?? Object.keys(schema.properties ?? {})) {
+        out[k] = exampleFromSchema(schema.properties?.[k]);
+      }
+      return out;
+    }
+    case "array":
+      return Array.from({ length: schema.minItems ?? 0 }, () => exampleFromSchema(schema.items));
+    case "integer":
+    case "number":
+      return schema.minimum ?? 0;
+    case "boolean":
+      return false;
+    default:
+      return schema.pattern && new RegExp(schema.pattern).test("09:00") ? "09:00" : "";
+  }
+}
+
+export function defaultMockRules() {
+  return [
+    {
+      match: /Create a simple plan for today/,
+      respond: (req, { prompt }) => {
+        const date = (prompt.match(/Today is (\d{4}-\d{2}-\d{2})/) ?? [])[1] ?? "";
+        const places = listAfter(prompt, "Choose location only from:");
+        const home = lineAfter(prompt, "home base:") || places[0];
+        const work = places.find(p => p !== home) ?? home;
+        const lunch = places.find(p => /cafe/i.test(p)) ?? work;
+        // a party among yesterday's open commitments takes the 17:00 slot
+        const party = /party/i.test(lineAfter(prompt, "Open commitments:"));
+        return {
+          date,
+          blocks: [
+            { start: "08:00", end: "09:00", location: home, activity: "Morning routine" },
+            { start: "09:00", end: "12:00", location: work, activity: "Work on main goal" },
+            { start: "12:00", end: "13:00", location: lunch, activity: "Lunch" },
+            { start: "13:00", end: "17:00", location: work, activity: "Afternoon work" },
+            { start: "17:00", end: "19:00", location: lunch, activity: party ? "Valentine's Day party" : "Meet people" },
+            { start: "19:00", end: "22:00", location: home, activity: "Dinner and rest" },
+          ],
+        };
+      },
+    },
+    {
+      match: /Decide what to do NEXT/,
+      respond: (req, { prompt, rand }) => {
+        const here = lineAfter(prompt, "Current location:");
+        const planLine = sectionAfter(prompt, "Your plan (snippet):")[0] ?? "";
+        const planned = (planLine.match(/@([^:]+):/) ?? [])[1]?.trim() ?? "";
+        const nearby = sectionAfter(prompt, "Nearby people:")
+          .map(l => (l.match(/^- ([^:]+):/) ?? [])[1]?.trim())
+          .filter(Boolean);
+
+        // needs first: food for the hungry, a break for the tired
+        const feel = sectionAfter(prompt, "How you feel:").join(" ");
+        const food = listAfter(prompt, "food is served at:");
+        if (/\(hungry\)/.test(feel) && food.length) {
+          if (food.includes(here)) {
+            return {
+              thought: "I'm starving; I'll grab a bite here.",
+              action: "stay",
+              target: here,
+              utterance: "",
+              duration_minutes: 20,
+              memories: [{ text: `Had something to eat at ${here}`, type: "action", importance: 2 }],
+            };
+          }
+          return {
+            thought: `I'm hungry. Time to get food at ${food[0]}.`,
+            action: "move",
+            target: food[0],
+            utterance: "",
+            duration_minutes: 10,
+            memories: [{ text: `Went to ${food[0]} to eat`, type: "action", importance: 2 }],
+          };
+        }
+        if (/\(tired\)/.test(feel)) {
+          return {
+            thought: "I'm exhausted; I'll take it easy for a bit.",
+            action: "stay",
+            target: here,
+            utterance: "",
+            duration_minutes: 30,
+            memories: [{ text: `Took a break at ${here}, feeling tired`, type: "observation", importance: 2 }],
+          };
+        }
+        if (planned && planned !== here) {
+          return {
+            thought: `I should head to ${planned}.`,
+            action: "move",
+            target: planned,
+            utterance: "",
+            duration_minutes: 10,
+            memories: [{ text: `Left ${here} for ${planned}`, type: "action", importance: 2 }],
+          };
+        }
+        if (nearby.length && rand() < 0.4) {
+          const who = pick(rand, nearby);
+          return {
+            thought: `${who} is here; I'll say hello.`,
+            action: "interact",
+            target: who,
+            utterance: pick(rand, ["Hi! How is your day going?", "Good to see you here.", "Busy day today?", "Are you coming to the party later?"]),
+            duration_minutes: 10,
+            memories: [{ text: `Talked with ${who} at ${here}`, type: "action", importance: 4 }],
+          };
+        }
+        // free objects only (busy ones list their user in parentheses)
+        const free = sectionAfter(prompt, "Objects here:")
+          .map(l => (l.match(/^- ([^:]+): [^(]*$/) ?? [])[1])
+          .filter(Boolean);
+        if (free.length && rand() < 0.25) {
+          const obj = pick(rand, free);
+          return {
+            thought: `I'll make use of the ${obj}.`,
+            action: "use",
+            target: obj,
+            utterance: "",
+            duration_minutes: 10,
+            memories: [{ text: `Used the ${obj} at ${here}`, type: "action", importance: 2 }],
+          };
+        }
+        return {
+          thought: `I'll keep going with my plan here.`,
+          action: "stay",
+          target: here,
+          utterance: "",
+          duration_minutes: 60,
+          memories: [{ text: `Stayed at ${here}${nearby.length ? ` with ${nearby.join(", ")}` : ""}`, type: "observation", importance: 2 }],
+        };
+      },
+    },
+    {
+      match: /Break the last entry/,
+      respond: (req, { prompt }) => {
+        const [, start, end, activity] = prompt.match(/Break the last entry \((\d\d:\d\d)-(\d\d:\d\d) @[^:]*: (.*)\) into/) ?? [];
+        if (!start) return { steps: [] };
+        const size = /hourly/.test(prompt) ? 60 : 15;
+        const steps = [];
+        for (let t = toMinutes(start), i = 1; t < toMinutes(end); t += size, i++) {
+          steps.push({ start: fromMinutes(t), end: fromMinutes(Math.min(t + size, toMinutes(end))), activity: `${activity} (part ${i})` });
+        }
+        return { steps };
+      },
+    },
+    {
+      match: /react to the observation/,
+      respond: (req, { prompt }) => {
+        // Reacts only to talk of a party (once): an hour at the cafe, then the old plan resumes.
+        // A forced re-plan (an intervention) spends the hour on it, at a place it names if any.
+        const observation = sectionAfter(prompt, "Observation:").join(" ");
+        const planned = sectionAfter(prompt, "Rest of today's plan:").join(" ");
+        const party = /party/i.test(observation) && !/party/i.test(planned);
+        const forced = /has decided to react/.test(prompt);
+        if (!party && !forced) return { react: false, reason: "Nothing requires a change.", new_blocks: [] };
+        const from = (prompt.match(/full plan from (\d\d:\d\d) on/) ?? [])[1] ?? "12:00";
+        const until = fromMinutes(Math.min(toMinutes(from) + 60, 23 * 60 + 59));
+        const blocks = sectionAfter(prompt, "Rest of today's plan:")
+          .map(l => l.match(/^(\d\d:\d\d)-(\d\d:\d\d) @([^:]+): (.*)$/))
+          .filter(Boolean);
+        const rest = blocks
+          .filter(m => m[2] > until)
+          .map(([, start, end, location, activity]) => ({ start: start < until ? until : start, end, location, activity }));
+        const places = listAfter(prompt, "Choose location only from:");
+        if (!party) {
+          const place = places.find(p => observation.toLowerCase().includes(p.toLowerCase())) ?? blocks[0]?.[3] ?? places[0];
+          return {
+            react: true,
+            reason: "I want to act on this right away.",
+            new_blocks: [{ start: from, end: until, location: place, activity: `Act on it: ${observation.slice(0, 60)}` }, ...rest],
+          };
+        }
+        return {
+          react: true,
+          reason: "Someone mentioned the party, so I'll stop by.",
+          new_blocks: [{ start: from, end: until, location: places.find(p => /cafe/i.test(p)) ?? "Hobbs Cafe", activity: "Drop by the party" }, ...rest],
+        };
+      },
+    },
+    {
+      match: /next line \(1-2 sentences, spoken aloud\)/,
+      respond: (req, { prompt, rand }) => {
+        const lines = sectionAfter(prompt, "Conversation so far:");
+        const other = (prompt.match(/talking with ([^\n]+?) at /) ?? [])[1] ?? "you";
+        if (lines.length >= 3 + Math.floor(rand() * 3)) {
+          return { utterance: `I should get going, ${other.split(" ")[0]}. See you later!`, end_conversation: true };
+        }
+        return {
+          utterance: pick(rand, [
+            "Pretty good, thanks! Just keeping busy.",
+            "Did you hear about the party at Hobbs Cafe?",
+            "I've been meaning to ask how your project is going.",
+            "It's been a long day, but a nice one.",
+          ]),
+          end_conversation: false,
+        };
+      },
+    },
+    {
+      match: /Write a short diary entry/,
+      respond: (req, { prompt }) => {
+        const lines = sectionAfter(prompt, "What happened today (from your memories):");
+        const party = lines.some(l => /party/i.test(l));
+        return {
+          diary: `A busy day: ${lines.length} things stood out.${party ? " Everyone is talking about the party at Hobbs Cafe." : ""}`,
+          importance: party ? 6 : 3,
+          commitments: party ? ["Valentine's Day party at Hobbs Cafe, 17:00-19:00"] : [],
+        };
+      },
+    },
+    {
+      match: /Summarize this conversation/,
+      respond: (req, { prompt }) => {
+        const other = (prompt.match(/conversation with ([^\n]+?) from /) ?? [])[1] ?? "someone";
+        const lines = sectionAfter(prompt, "Conversation:");
+        const party = lines.some(l => /party/i.test(l));
+        return {
+          summary: `Chatted with ${other}${party ? " about the party at Hobbs Cafe" : " about the day"}.`,
+          importance: party ? 5 : 3,
+          feeling: lines.length >= 4 ? 1 : 0, // a longer chat went well
+        };
+      },
+    },
+    {
+      // plain text: cites the memory that best answers the question
+      match: /An interviewer asks/,
+      respond: (req, { prompt }) => {
+        const question = lineAfter(prompt, "Question:");
+        const lines = sectionAfter(prompt, "Relevant memories:")
+          .filter(l => l.startsWith("- ["))
+          .map(l => l.replace(/^- \[[^\]]*\]\s*/, ""));
+        if (/party/i.test(question)) {
+          const heard = lines.find(l => /party/i.test(l));
+          return heard ? `Yes, I know about the party. I remember this: ${heard}` : "A party? I haven't heard anything about one.";
+        }
+        return lines.length ? `Let me think. What comes to mind is this: ${lines[0]}` : "I'm not sure, nothing comes to mind.";
+      },
+    },
+    {
+      match: /Rate the importance/,
+      respond: (req, { rand }) => String(1 + Math.floor(rand() * 6)),
+    },
+    {
+      match: /most salient high-level questions/,
+      respond: (req, { prompt }) => {
+        const name = (prompt.match(/You are ([^.\n]+)\./) ?? [])[1] ?? "I";
+        return { questions: [`What does ${name} care about most today?`, `Who has ${name} been spending time with?`] };
+      },
+    },
+    {
+      match: /reflect on your experiences/,
+      respond: (req, { prompt }) => {
+        const name = (prompt.match(/You are ([^.\n]+)\./) ?? [])[1] ?? "I";
+        const n = sectionAfter(prompt, `Statements about ${name}:`).length;
+        const cite = (...idx) => idx.filter(i => i <= n);
+        return {
+          insights: [
+            { text: `${name} keeps a steady daily routine.`, evidence: cite(1, 2) },
+            { text: `${name} values time with people nearby.`, evidence: cite(2, 3) },
+          ],
+          summary_update: `${name} is focused on today's goals while staying open to neighbors.`,
+        };
+      },
+    },
+    {
+      match: /Condense these older memories/,
+      respond: (req, { prompt }) => {
+        const lines = sectionAfter(prompt, "Older memories:").map(l => l.replace(/^- \[[^\]]*\]\s*/, ""));
+        return {
+          summary: `Earlier: ${uniq(lines).slice(0, 3).join("; ")}${lines.length > 3 ? "; and more" : ""}.`,
+          importance: 2,
+        };
+      },
+    },
+  ];
+}
+
+function compileRule(rule) {
+  const m = rule.match;
+  const test = typeof m === "function" ? m
+    : m instanceof RegExp ? (req, prompt) => m.test(prompt)
+    : (req, prompt) => new RegExp(String(m)).test(prompt);
+  return { test, respond: rule.respond };
+}
+
+export class ScriptedProvider {
+  constructor({ rules = [], fixtures = null, modelId = "scripted" } = {}) {
+    this.name = "scripted";
+    this.modelId = modelId;
+    this.supportsJSONMode = true;
+    this.rules = [...(fixtures?.rules ?? []), ...rules, ...defaultMockRules()].map(compileRule);
+  }
+
+  async complete(req, { onToken = null, signal = null } = {}) {
+    signal?.throwIfAborted();
+    const prompt = lastUserContent(req.messages);
+    const hash = requestHash(req);
+    const ctx = { prompt, hash, rand: seededRandom(hash) };
+
+    let out;
+    const rule = this.rules.find(r => r.test(req, prompt));
+    if (rule) {
+      out = typeof rule.respond === "function" ? rule.respond(req, ctx) : rule.respond;
+    } else if (req.response_format) {
+      out = exampleFromSchema(req.response_format.schema);
+    } else {
+      out = "OK";
+    }
+
+    const content = typeof out === "string" ? out : JSON.stringify(out);
+    if (onToken) await streamChunks(content, onToken, signal);
+    return { content, usage: null };
+  }
+}
@@ -0,0 +1,82 @@
+// Needs model: energy, hunger and social, each 0..100, updated every tick without LLM calls.
+// - energy (100 = rested): drains while awake, restored by sleep.
+// - hunger (0 = full): grows over time, drops while eating.
+// - social (100 = connected): drains while alone, restored by company and conversation.
+// The action prompt shows them (with a word like "tired"), so the model can act on them.
+//
+// Sleep follows the persona's "goes to bed around 11pm, wakes up around 6am" line: during that
+// window an agent walks home and sleeps there (see Agent.step).
+
+import { parseTime } from "./normalize.js";
+
+// change per sim hour
+export const NEED_RATES = {
+  energyAwake: -4,
+  energyAsleep: 10,
+  hunger: 6,
+  hungerAsleep: 2,
+  hungerEating: -180, // a meal takes about 20 minutes
+  socialAlone: -5,
+  socialCompany: 2,
+  socialTalking: 30,
+};
+
+// thresholds for the words in the prompt (and the mock's behavior)
+export const TIRED = 25;
+export const HUNGRY = 60;
+export const LONELY = 30;
+
+export const DEFAULT_SLEEP = { bed: "23:00", wake: "07:00" };
+
+const MEAL = /\b(breakfast|brunch|lunch|dinner|supper|meal|eat|eating|snack|food)\b/i;
+
+export function isMealActivity(activity) {
+  return MEAL.test(activity ?? "");
+}
+
+// persona text -> { bed, wake } ("HH:MM"), DEFAULT_SLEEP for what it doesn't say
+export function parseSleepWindow(persona) {
+  const bed = parseTime((String(persona).match(/goes to bed around ([\w:]+)/) ?? [])[1]);
+  const wake = parseTime((String(persona).match(/wakes up around ([\w:]+)/) ?? [])[1]);
+  return { bed: bed ?? DEFAULT_SLEEP.bed, wake: wake ?? DEFAULT_SLEEP.wake };
+}
+
+// Whether hhmm is within the sleep window (which usually wraps around midnight).
+export function inSleepWindow({ bed, wake }, hhmm) {
+  return bed <= wake ? bed <= hhmm && hhmm < wake : hhmm >= bed || hhmm < wake;
+}
+
+const clamp100 = (v) => Math.max(0, Math.min(100, v));
+
+export class Needs {
+  constructor({ energy = 100, hunger = 20, social = 70 } = {}) {
+    this.energy = energy;
+    this.hunger = hunger;
+    this.social = social;
+  }
+
+  // minutes: time that passed; what the agent was doing meanwhile.
+  update(minutes, { asleep = false, eating = false, talking = false, company = false } = {}) {
+    const h = minutes / 60;
+    const r = NEED_RATES;
+    this.energy = clamp100(this.energy + h * (asleep ? r.energyAsleep : r.energyAwake));
+    this.hunger = clamp100(this.hunger + h * (eating ? r.hungerEating : asleep ? r.hungerAsleep : r.hunger));
+    if (!asleep) {
+      this.social = clamp100(this.social + h * (talking ? r.socialTalking : company ? r.socialCompany : r.socialAlone));
+    }
+  }
+
+  get tired() { return this.energy < TIRED; }
+  get hungry() { return this.hunger >= HUNGRY; }
+  get lonely() { return this.social < LONELY; }
+
+  // One line per need, for prompts and the UI.
+  describe() {
+    const word = (flag, yes, no) => (flag ? ` (${yes})` : no ? ` (${no})` : "");
+    return [
+      `energy ${Math.round(this.energy)}/100${word(this.tired, "tired", this.energy >= 70 ? "rested" : "")}`,
+      `hunger ${Math.round(this.hunger)}/100${word(this.hungry, "hungry", this.hunger < 20 ? "full" : "")}`,
+      `social ${Math.round(this.social)}/100${word(this.lonely, "lonely", "")}`,
+    ];
+  }
+}
@@ -0,0 +1,183 @@
+// Normalization of LLM output against the world: the model's plans and actions are checked
+// and repaired before the simulation acts on them.
+// - Times: "9:00", "9am", "9.30 pm", "noon", "0930" -> "HH:MM" (24h).
+// - Plans: blocks sorted by start, overlaps trimmed, gaps closed, locations resolved.
+// - Names: fuzzy matching of places, people and objects ("the cafe" -> "Hobbs Cafe", "Klaus" -> "Klaus Mueller").
+// Every correction goes to a CorrectionLog, so the UI can show how often the model is off.
+
+import { fromMinutes } from "./util.js";
+
+// ---- times ----
+
+// -> "HH:MM" or null if it can't be read as a time of day.
+export function parseTime(text) {
+  const s = String(text ?? "").trim().toLowerCase();
+  if (s === "noon" || s === "midday") return "12:00";
+  if (s === "midnight") return "00:00";
+
+  const m = s.match(/^(\d{1,2})(?:[:.h]?(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2] ?? 0);
+  const ampm = m[3]?.[0];
+  if (ampm) {
+    if (h < 1 || h > 12) return null;
+    if (ampm === "p" && h < 12) h += 12;
+    if (ampm === "a" && h === 12) h = 0;
+  }
+  if (h === 24 && min === 0) return "23:59"; // end of day
+  if (h > 23 || min > 59) return null;
+  return fromMinutes(h * 60 + min);
+}
+
+// ---- names ----
+
+function canon(name) {
+  return String(name ?? "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, " ")
+    .replace(/\b(the|a|an)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 1 = same name; containment ("klaus" in "klaus mueller") and typos score lower.
+function similarity(q, c) {
+  if (q === c) return 1;
+  if (c.includes(q) || q.includes(c)) {
+    const [short, long] = q.length < c.length ? [q, c] : [c, q];
+    return 0.6 + 0.3 * (short.length / long.length);
+  }
+  return 1 - levenshtein(q, c) / Math.max(q.length, c.length);
+}
+
+// Best candidate for `name` (key(candidate) gives its name) -> candidate, or null when nothing is
+// similar enough or two candidates match equally well.
+export function fuzzyMatch(name, candidates, { key = (c) => c, threshold = 0.6 } = {}) {
+  const q = canon(name);
+  if (!q) return null;
+  let best = null;
+  let bestScore = threshold;
+  let tie = false;
+  for (const c of candidates) {
+    const score = similarity(q, canon(key(c)));
+    if (score > bestScore) {
+      best = c;
+      bestScore = score;
+      tie = false;
+    } else if (score === bestScore && best) {
+      tie = true;
+    }
+  }
+  return tie ? null : best;
+}
+
+export function matchPlace(name, places) {
+  return fuzzyMatch(name, places, { key: (p) => p.name });
+}
+
+export function matchPerson(name, names) {
+  return fuzzyMatch(name, names);
+}
+
+export function matchObject(name, objects) {
+  return fuzzyMatch(name, objects, { key: (o) => o.name });
+}
+
+// ---- correction log ----
+
+export class CorrectionLog {
+  constructor({ max = 500 } = {}) {
+    this.max = max;
+    this.entries = []; // [{ time, agent, kind, from, to }], newest last
+    this.counts = {}; // kind -> count, over all corrections (not capped)
+  }
+
+  // kind: "time" | "date" | "place" | "person" | "object" | "order" | "overlap" | "gap" | "dropped" | "unresolved"
+  add(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.max) this.entries.shift();
+    this.counts[entry.kind] = (this.counts[entry.kind] ?? 0) + 1;
+  }
+
+  get total() {
+    return Object.values(this.counts).reduce((a, b) => a + b, 0);
+  }
+}
+
+// ---- plans ----
+
+// Cleans a list of plan entries ({start, end, location?, activity}).
+// ctx: { log, time, agent } for corrections; places: world.places (locations are resolved when
+// entries have one); defaultLocation: used for unknown places; range: {start, end} to clip to.
+export function normalizeBlocks(blocks, { places = null, defaultLocation = null, range = null, ctx = {} } = {}) {
+  const note = (kind, from, to) => ctx.log?.add({ time: ctx.time, agent: ctx.agent, kind, from, to });
+  const out = [];
+
+  for (const b of blocks) {
+    const label = `${b.start}-${b.end} ${b.activity}`;
+    let start = parseTime(b.start);
+    let end = parseTime(b.end);
+    if (!start || !end) {
+      note("dropped", label, "unreadable time");
+      continue;
+    }
+    if (start !== b.start) note("time", b.start, start);
+    if (end !== b.end) note("time", b.end, end);
+    if (end === "00:00" && start !== "00:00") end = "23:59"; // "until midnight"
+    if (range) {
+      if (start < range.start) start = range.start;
+      if (end > range.end) end = range.end;
+    }
+    if (end <= start) {
+      note("dropped", label, "ends before it starts");
+      continue;
+    }
+
+    const block = { ...b, start, end };
+    if (places && "location" in b) {
+      const place = matchPlace(b.location, places);
+      const location = place?.name ?? defaultLocation ?? b.location;
+      if (location !== b.location) note(place ? "place" : "unresolved", b.location, location);
+      block.location = location;
+    }
+    out.push(block);
+  }
+
+  const sorted = out.slice().sort((a, b) => a.start.localeCompare(b.start));
+  if (sorted.some((b, i) => b !== out[i])) note("order", "unsorted blocks", "sorted by start time");
+
+  const result = [];
+  for (const b of sorted) {
+    const prev = result.at(-1);
+    if (prev && b.start < prev.end) {
+      if (b.end <= prev.end) {
+        note("dropped", `${b.start}-${b.end} ${b.activity}`, `inside ${prev.start}-${prev.end}`);
+        continue;
+      }
+      note("overlap", `${b.start}-${b.end}`, `${prev.end}-${b.end}`);
+      b.start = prev.end;
+    } else if (prev && b.start > prev.end) {
+      note("gap", `${prev.start}-${prev.end}`, `${prev.start}-${b.start}`);
+      prev.end = b.start;
+    }
+    result.push(b);
+  }
+  return result;
+}
+
+export function normalizePlan(plan, { places, defaultLocation, ctx }) {
+  return { ...plan, blocks: normalizeBlocks(plan.blocks, { places, defaultLocation, ctx }) };
+}
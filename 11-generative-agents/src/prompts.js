@@ -1,6 +1,7 @@
 // Prompt templates (educational, inspired by the paper's components).
 // We keep JSON-mode in mind (WebLLM response_format: json_object).
 
+import { memoryText } from "./memory.js";
 import { formatSimTime } from "./util.js";
 
 export function systemPersona(agent) {
@@ -33,14 +34,16 @@ Style:
 export const ACTION_SCHEMA = {
   type: "object",
   additionalProperties: false,
-  required: ["thought", "action", "target", "utterance", "memories"],
+  required: ["thought", "action", "target", "utterance", "duration_minutes", "memories"],
   properties: {
     thought: { type: "string" },
-    action: { type: "string", enum: ["move", "interact", "stay"] },
+    action: { type: "string", enum: ["move", "interact", "use", "stay"] },
     target: { type: "string" },
     utterance: { type: "string" },
+    duration_minutes: { type: "integer", minimum: 10, maximum: 180 },
     memories: {
       type: "array",
+      minItems: 1,
       maxItems: 3,
       items: {
         type: "object",
@@ -56,23 +59,49 @@ export const ACTION_SCHEMA = {
   }
 };
 
+// Asked for as 24h "HH:MM", but any time of day validates: normalize.js reads "9am", "noon", ...
+// and logs a "time" correction (a strict pattern would send such plans to repair, then fallback).
+const TIME_STRING = { type: "string", minLength: 1, description: "24h HH:MM time (e.g. 09:30)" };
+
+const PLAN_BLOCK = {
+  type: "object",
+  additionalProperties: false,
+  required: ["start", "end", "location", "activity"],
+  properties: {
+    start: TIME_STRING,
+    end: TIME_STRING,
+    location: { type: "string" },
+    activity: { type: "string" }
+  }
+};
+
 export const PLAN_SCHEMA = {
   type: "object",
   additionalProperties: false,
   required: ["date", "blocks"],
   properties: {
     date: { type: "string" },
-    blocks: {
+    blocks: { type: "array", maxItems: 10, items: PLAN_BLOCK }
+  }
+};
+
+// Splitting one plan block into shorter steps (hourly chunks, then 5-15 minute actions).
+export const DECOMPOSE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["steps"],
+  properties: {
+    steps: {
       type: "array",
-      maxItems: 10,
+      minItems: 1,
+      maxItems: 12,
       items: {
         type: "object",
         additionalProperties: false,
-        required: ["start", "end", "location", "activity"],
+        required: ["start", "end", "activity"],
         properties: {
-          start: { type: "string" },
-          end: { type: "string" },
-          location: { type: "string" },
+          start: TIME_STRING,
+          end: TIME_STRING,
           activity: { type: "string" }
         }
       }
@@ -80,19 +109,104 @@ export const PLAN_SCHEMA = {
   }
 };
 
+// "Should I react?": optionally replaces the rest of today's plan.
+export const REACTION_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["react", "reason", "new_blocks"],
+  properties: {
+    react: { type: "boolean" },
+    reason: { type: "string" },
+    new_blocks: { type: "array", maxItems: 10, items: PLAN_BLOCK }
+  }
+};
+
+// Reflection, step 1: salient questions about recent memories (paper: "focal points").
+export const FOCAL_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["questions"],
+  properties: {
+    questions: { type: "array", minItems: 1, maxItems: 3, items: { type: "string" } }
+  }
+};
+
+// Reflection, step 2: insights citing the numbered statements they are based on.
 export const REFLECTION_SCHEMA = {
   type: "object",
   additionalProperties: false,
   required: ["insights", "summary_update"],
   properties: {
-    insights: { type: "array", minItems: 2, maxItems: 4, items: { type: "string" } },
+    insights: {
+      type: "array",
+      minItems: 2,
+      maxItems: 4,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["text", "evidence"],
+        properties: {
+          text: { type: "string" },
+          evidence: { type: "array", minItems: 1, maxItems: 5, items: { type: "integer", minimum: 1 } }
+        }
+      }
+    },
     summary_update: { type: "string" }
   }
 };
 
-export function buildDailyPlanPrompt(agent, world, now) {
+// One turn of a conversation session (see conversation.js).
+export const CONVERSATION_TURN_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["utterance", "end_conversation"],
+  properties: {
+    utterance: { type: "string" },
+    end_conversation: { type: "boolean" }
+  }
+};
+
+export const CONVERSATION_SUMMARY_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["summary", "importance", "feeling"],
+  properties: {
+    summary: { type: "string" },
+    importance: { type: "integer", minimum: 1, maximum: 10 },
+    feeling: { type: "integer", minimum: -3, maximum: 3 }
+  }
+};
+
+export const DIGEST_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["summary", "importance"],
+  properties: {
+    summary: { type: "string" },
+    importance: { type: "integer", minimum: 1, maximum: 10 }
+  }
+};
+
+// End of a day: a diary entry (stored as a memory) and what is still owed to others / oneself.
+export const DIARY_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["diary", "importance", "commitments"],
+  properties: {
+    diary: { type: "string" },
+    importance: { type: "integer", minimum: 1, maximum: 10 },
+    commitments: { type: "array", maxItems: 5, items: { type: "string" } }
+  }
+};
+
+// yesterday: { date, diary, commitments } from the previous day's diary entry, if any.
+export function buildDailyPlanPrompt(agent, world, now, yesterday = null) {
   const places = world.places.map(p => p.name).join(", ");
   const dateStr = formatSimTime(now).slice(0, 10);
+  const previous = yesterday
+    ? `\n- Yesterday (${yesterday.date}): ${yesterday.diary}`
+      + `\n- Open commitments: ${yesterday.commitments.length ? yesterday.commitments.join("; ") : "(none)"}`
+    : "";
 
   const sys = systemPersona(agent);
   const user = `Today is ${dateStr}.
@@ -107,7 +221,7 @@ Constraints:
 
 Context:
 - ${agent.name}'s home base: ${agent.home}
-- ${agent.name}'s current priorities: ${agent.goals.join("; ")}
+- ${agent.name}'s current priorities: ${agent.goals.join("; ")}${previous}
 
 JSON schema (for reference, do not include it in output):
 ${JSON.stringify(PLAN_SCHEMA)}`;
@@ -118,34 +232,101 @@ ${JSON.stringify(PLAN_SCHEMA)}`;
   ];
 }
 
-export function buildActionPrompt({ agent, world, now, perception, retrieved, mode }) {
+// path: the plan entries containing `block`, outermost first (for context).
+export function buildDecomposePrompt(agent, now, block, maxMinutes, path) {
+  const sys = systemPersona(agent);
+  const timeStr = formatSimTime(now);
+  const context = path.map(b => `${b.start}-${b.end}: ${b.activity}`).join("\n");
+  const size = maxMinutes >= 60 ? "roughly hourly chunks" : `concrete actions of 5-${maxMinutes} minutes`;
+
+  const user = `It is ${timeStr}. You are ${agent.name}.
+
+Current plan entry:
+${context}
+
+Break the last entry (${block.start}-${block.end} @${block.location}: ${block.activity}) into ${size}.
+- Steps must cover ${block.start} to ${block.end} in order, without gaps.
+- Use times in HH:MM (24h).
+
+Output MUST be valid JSON ONLY and match schema.
+JSON schema:
+${JSON.stringify(DECOMPOSE_SCHEMA)}`;
+
+  return [{ role: "system", content: sys }, { role: "user", content: user }];
+}
+
+// force: the plan must change (a user intervention asked for a re-plan, see Agent.injectMemory).
+export function buildReactionPrompt(agent, world, now, observation, remainingPlan, { force = false } = {}) {
+  const sys = systemPersona(agent);
+  const places = world.places.map(p => p.name).join(", ");
+  const timeStr = formatSimTime(now);
+  const hhmm = timeStr.slice(11);
+
+  const user = `It is ${timeStr}. You are ${agent.name}.
+
+Observation:
+${observation}
+
+Rest of today's plan:
+${remainingPlan || "(nothing planned)"}
+
+${force
+    ? `${agent.name} has decided to react to the observation by changing the rest of today's plan.
+- Set react to true, give the reason, and write new_blocks: the full plan from ${hhmm} on.`
+    : `Should ${agent.name} react to the observation by changing the rest of today's plan?
+- If not, set react to false and leave new_blocks empty.
+- If so, set react to true, give the reason, and write new_blocks: the full plan from ${hhmm} on.`}
+- Choose location only from: ${places}
+- Use times in HH:MM (24h).
+
+Output MUST be valid JSON ONLY and match schema.
+JSON schema:
+${JSON.stringify(REACTION_SCHEMA)}`;
+
+  return [{ role: "system", content: sys }, { role: "user", content: user }];
+}
+
+// plan: the plan to show (defaults to agent.dailyPlan; Agent.step passes a tentative revision).
+export function buildActionPrompt({ agent, world, now, perception, retrieved, mode, plan = agent.dailyPlan }) {
   const sys = systemPersona(agent);
   const placeList = world.places.map(p => p.name).join(", ");
   const timeStr = formatSimTime(now);
 
+  // with what the agent thinks of them (see relationships.js)
   const others = perception.others.length
-    ? perception.others.map(o => `- ${o.name}: ${o.action}`).join("\n")
+    ? perception.others.map(o => `- ${o.name}: ${o.action} [${agent.relationships.get(o.name).describe()}]`).join("\n")
     : "(no one nearby)";
 
+  const objects = perception.objects.length
+    ? perception.objects.map(o => `- ${o.name}: ${o.state}${o.user ? ` (${o.user})` : ""}`).join("\n")
+    : "(nothing to use here)";
+
   const chats = perception.chat.length
     ? perception.chat.map(c => `- ${c.speaker}: ${c.text}`).join("\n")
     : "(no recent chat)";
 
-  const planSnippet = agent.planSnippetFor(now);
+  const planSnippet = agent.planSnippetFor(now, plan);
+  const foodPlaces = world.places.filter(p => p.food).map(p => p.name).join(", ");
 
   const memLines = retrieved.length
     ? retrieved.map((m, i) => {
         const rec = m.rec;
-        return `${i+1}. [${rec.type}] (imp:${rec.importance}) ${rec.text}`;
+        return `${i+1}. [${rec.type}] (imp:${rec.importance}) ${memoryText(rec)}`;
       }).join("\n")
     : "(no memories retrieved)";
 
   const user = `You are ${agent.name}. It is ${timeStr}.
 Current location: ${perception.placeName}
 
+How you feel:
+- ${agent.needs.describe().join("\n- ")}
+
 Nearby people:
 ${others}
 
+Objects here:
+${objects}
+
 Recent chat in this place:
 ${chats}
 
@@ -159,7 +340,13 @@ Decide what to do NEXT for the next ~${agent.tickMinutes} minutes.
 Allowed actions:
 - move: go to a different location (target must be one of: ${placeList})
 - interact: say something to a nearby person (target must be a nearby person's name)
+- use: use an object here (target must be one of the objects listed above)
 - stay: continue what you're doing here (target can be current location)
+duration_minutes: how long to keep at it before deciding again (10-180; it ends early if someone arrives or talks to you).
+Take care of yourself (see "How you feel"):
+- hungry: get something to eat (food is served at: ${foodPlaces})
+- tired: slow down or head home
+- lonely: seek out company
 
 Also, write 1-3 memory items to store into your memory stream:
 - observation: what you noticed (short factual)
@@ -187,19 +374,45 @@ ${memoryText}`;
   return [{ role: "system", content: sys }, { role: "user", content: user }];
 }
 
-export function buildReflectionPrompt(agent, now, recentMemories) {
+export function buildFocalQuestionsPrompt(agent, now, recentMemories) {
+  // Paper: "what are 3 most salient high-level questions we can answer about the subjects in the statements?"
+  const sys = systemPersona(agent);
+  const timeStr = formatSimTime(now);
+  const mem = recentMemories.map((m, i) => `${i+1}. ${memoryText(m)}`).join("\n");
+
+  const user = `It is ${timeStr}. You are ${agent.name}.
+
+Recent statements:
+${mem}
+
+Given only the information above, what are the 1-3 most salient high-level questions we can answer about the subjects in the statements?
+
+Output MUST be valid JSON ONLY and match schema.
+JSON schema:
+${JSON.stringify(FOCAL_SCHEMA)}`;
+
+  return [{ role: "system", content: sys }, { role: "user", content: user }];
+}
+
+export function buildReflectionPrompt(agent, now, questions, statements) {
+  // statements: memories retrieved for the focal questions, cited by their 1-based number.
   const sys = systemPersona(agent);
   const timeStr = formatSimTime(now);
-  const mem = recentMemories.map((m, i) => `${i+1}. (imp:${m.importance}) ${m.text}`).join("\n");
+  const qs = questions.map(q => `- ${q}`).join("\n");
+  const mem = statements.map((m, i) => `${i+1}. ${memoryText(m)}`).join("\n");
 
   const user = `It is ${timeStr}. You are ${agent.name}.
-You will reflect on your recent experiences and update your self-understanding.
+You will reflect on your experiences and update your self-understanding.
 
-Recent memories:
+Questions on your mind:
+${qs}
+
+Statements about ${agent.name}:
 ${mem}
 
 Task:
-- Produce 2-4 high-level insights (short sentences).
+- Produce 2-4 high-level insights (short sentences) that answer the questions.
+- For each insight, list the numbers of the statements it is based on as "evidence".
 - Produce a one-paragraph summary update describing what kind of person ${agent.name} is becoming today.
 
 Output MUST be valid JSON ONLY and match schema.
@@ -208,3 +421,120 @@ ${JSON.stringify(REFLECTION_SCHEMA)}`;
 
   return [{ role: "system", content: sys }, { role: "user", content: user }];
 }
+
+export function buildDigestPrompt(agent, now, memories) {
+  // Compaction: fold a batch of old, minor memories into one digest memory.
+  const sys = systemPersona(agent);
+  const timeStr = formatSimTime(now);
+  const mem = memories.map(m => `- [${formatSimTime(m.time)}] ${memoryText(m)}`).join("\n");
+
+  const user = `It is ${timeStr}. You are ${agent.name}.
+Condense these older memories into one short digest (1-2 sentences) that keeps who, where and what happened.
+
+Older memories:
+${mem}
+
+Also rate the digest's importance 1..10 (10 = life-changing, 1 = trivial).
+
+Output MUST be valid JSON ONLY and match schema.
+JSON schema:
+${JSON.stringify(DIGEST_SCHEMA)}`;
+
+  return [{ role: "system", content: sys }, { role: "user", content: user }];
+}
+
+export function buildDiaryPrompt(agent, date, memories) {
+  const sys = systemPersona(agent);
+  const mem = memories.map(m => `- [${formatSimTime(m.time).slice(11)}] ${memoryText(m)}`).join("\n");
+
+  const user = `It is the end of ${date}. You are ${agent.name}.
+
+What happened today (from your memories):
+${mem || "(a quiet day)"}
+
+Write a short diary entry about the day (2-4 sentences, first person).
+List open commitments: things ${agent.name} promised, agreed to or still has to do in the coming days
+(with time and place if known); [] if there are none.
+Also rate how important the day was for ${agent.name}, 1..10.
+
+Output MUST be valid JSON ONLY and match schema.
+JSON schema:
+${JSON.stringify(DIARY_SCHEMA)}`;
+
+  return [{ role: "system", content: sys }, { role: "user", content: user }];
+}
+
+function transcriptText(conversation) {
+  return conversation.turns.map(t => `${t.speaker}: ${t.text}`).join("\n");
+}
+
+export function buildConversationTurnPrompt(agent, other, conversation, memories, now) {
+  const sys = systemPersona(agent);
+  const timeStr = formatSimTime(now);
+  const mem = memories.length
+    ? memories.map(m => `- ${memoryText(m.rec)}`).join("\n")
+    : "(nothing in particular)";
+
+  const user = `It is ${timeStr}. You are ${agent.name}, talking with ${other.name} at ${conversation.placeName}.
+
+What you remember about ${other.name}:
+${mem}
+
+Conversation so far:
+${transcriptText(conversation)}
+
+Write ${agent.name}'s next line (1-2 sentences, spoken aloud).
+Set end_conversation to true if ${agent.name} wraps up the conversation with this line.
+
+Output MUST be valid JSON ONLY and match schema.
+JSON schema:
+${JSON.stringify(CONVERSATION_TURN_SCHEMA)}`;
+
+  return [{ role: "system", content: sys }, { role: "user", content: user }];
+}
+
+export function buildConversationSummaryPrompt(agent, other, conversation, now) {
+  const sys = systemPersona(agent);
+  const timeStr = formatSimTime(now);
+
+  const user = `It is ${timeStr}. You are ${agent.name}.
+Summarize this conversation with ${other.name} from ${agent.name}'s point of view in one sentence
+(what was said, agreed or learned).
+
+Conversation:
+${transcriptText(conversation)}
+
+Also rate how important it is for ${agent.name}, 1..10 (10 = life-changing, 1 = trivial),
+and how it left ${agent.name} feeling about ${other.name}: feeling -3..3 (-3 = much worse, 0 = no change, 3 = much better).
+
+Output MUST be valid JSON ONLY and match schema.
+JSON schema:
+${JSON.stringify(CONVERSATION_SUMMARY_SCHEMA)}`;
+
+  return [{ role: "system", content: sys }, { role: "user", content: user }];
+}
+
+// Interview (see interview.js): plain text, not JSON. history: earlier { question, answer } turns.
+export function buildInterviewPrompt(agent, now, history, question, memories) {
+  const sys = systemPersona(agent);
+  const timeStr = formatSimTime(now);
+  const mem = memories.length
+    ? memories.map(m => `- [${formatSimTime(m.rec.time)}] ${memoryText(m.rec)}`).join("\n")
+    : "(nothing comes to mind)";
+
+  const user = `It is ${timeStr}. An interviewer asks ${agent.name} a question.
+
+Relevant memories:
+${mem}
+
+Answer as ${agent.name}, in the first person, in 1-3 sentences, based on the character sheet and these memories.
+If ${agent.name} doesn't know or doesn't remember, say so instead of making something up.
+
+Question: ${question}`;
+
+  const past = history.flatMap(t => [
+    { role: "user", content: `Question: ${t.question}` },
+    { role: "assistant", content: t.answer },
+  ]);
+  return [{ role: "system", content: sys }, ...past, { role: "user", content: user }];
+}
@@ -0,0 +1,165 @@
+// LLM backends ("providers") used by LLMClient.
+//
+// Every provider exposes the same tiny interface:
+//   name              short id shown in the UI
+//   modelId           model identifier (string)
+//   supportsJSONMode  true if the backend understands response_format {type:"json_object"}
+//   complete(req, { onToken?, signal? }) -> { content, usage }
+//
+// `req` is OpenAI-style: { messages, temperature, max_tokens, response_format? }.
+// response_format (when present) is { type: "json_object", schema?: <schema object> };
+// each provider translates it into whatever its backend expects.
+//
+// When onToken(delta, textSoFar) is given the provider streams; `signal` (AbortSignal)
+// cancels generation and makes complete() reject with an AbortError.
+
+import { abortError } from "./util.js";
+
+export class WebLLMProvider {
+  // engine: result of webllm.CreateMLCEngine(...)
+  constructor(engine, { modelId = "" } = {}) {
+    this.name = "webllm";
+    this.engine = engine;
+    this.modelId = modelId;
+    this.supportsJSONMode = true;
+  }
+
+  async complete({ messages, temperature, max_tokens, response_format }, { onToken = null, signal = null } = {}) {
+    signal?.throwIfAborted();
+    const req = { messages, temperature, max_tokens };
+    if (response_format) {
+      // WebLLM expects the JSON schema as a *string*.
+      req.response_format = response_format.schema
+        ? { type: "json_object", schema: JSON.stringify(response_format.schema) }
+        : { type: "json_object" };
+    }
+
+    // WebLLM cancels through interruptGenerate(); generation then ends on its own,
+    // so the engine is idle again by the time we reject.
+    const onAbort = () => this.engine.interruptGenerate();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    try {
+      let out;
+      if (!onToken) {
+        const resp = await this.engine.chat.completions.create(req);
+        out = {
+          content: resp?.choices?.[0]?.message?.content ?? "",
+          usage: resp?.usage ?? null,
+        };
+      } else {
+        const chunks = await this.engine.chat.completions.create({
+          ...req,
+          stream: true,
+          stream_options: { include_usage: true },
+        });
+        out = { content: "", usage: null };
+        for await (const chunk of chunks) {
+          const delta = chunk?.choices?.[0]?.delta?.content ?? "";
+          if (chunk?.usage) out.usage = chunk.usage;
+          if (delta) {
+            out.content += delta;
+            onToken(delta, out.content);
+          }
+        }
+      }
+      if (signal?.aborted) throw abortError(signal);
+      return out;
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+}
+
+// Any server speaking the OpenAI chat completions protocol:
+// llama.cpp server, Ollama (/v1), vLLM, LM Studio, ...
+//
+// jsonMode:
+//   "json_object" -> send response_format {type:"json_object", schema} (llama.cpp, Ollama)
+//   "none"        -> never send response_format; LLMClient falls back to prompt-only JSON
+export class OpenAICompatibleProvider {
+  constructor({ baseURL = "http://localhost:8080/v1", model = "", apiKey = "", jsonMode = "json_object" } = {}) {
+    this.name = "openai";
+    this.baseURL = baseURL.replace(/\/+$/, "");
+    this.modelId = model;
+    this.apiKey = apiKey;
+    this.jsonMode = jsonMode;
+    this.supportsJSONMode = jsonMode !== "none";
+  }
+
+  _headers() {
+    const h = { "Content-Type": "application/json" };
+    if (this.apiKey) h.Authorization = `Bearer ${this.apiKey}`;
+    return h;
+  }
+
+  async listModels() {
+    const resp = await fetch(`${this.baseURL}/models`, { headers: this._headers() });
+    if (!resp.ok) throw new Error(`GET /models failed: HTTP ${resp.status}`);
+    const body = await resp.json();
+    return (body?.data ?? []).map(m => m.id).filter(Boolean);
+  }
+
+  async complete({ messages, temperature, max_tokens, response_format }, { onToken = null, signal = null } = {}) {
+    const req = { model: this.modelId || undefined, messages, temperature, max_tokens };
+    if (onToken) {
+      req.stream = true;
+      req.stream_options = { include_usage: true };
+    }
+    if (response_format && this.supportsJSONMode) {
+      req.response_format = response_format.schema
+        ? { type: "json_object", schema: response_format.schema }
+        : { type: "json_object" };
+    }
+
+    const resp = await fetch(`${this.baseURL}/chat/completions`, {
+      method: "POST",
+      headers: this._headers(),
+      body: JSON.stringify(req),
+      signal,
+    });
+    if (!resp.ok) {
+      const detail = await resp.text().catch(() => "");
+      throw new Error(`POST /chat/completions failed: HTTP ${resp.status} ${detail.slice(0, 200)}`);
+    }
+
+    if (onToken) return readSSE(resp, onToken);
+
+    const body = await resp.json();
+    return {
+      content: body?.choices?.[0]?.message?.content ?? "",
+      usage: body?.usage ?? null,
+    };
+  }
+}
+
+// Reads an OpenAI-style server-sent-events stream ("data: {...}" lines, ending with "data: [DONE]").
+// Aborting the fetch signal makes reader.read() reject with an AbortError.
+async function readSSE(resp, onToken) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let content = "";
+  let usage = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = line.trim().replace(/^data:\s*/, "");
+      if (!line.trim().startsWith("data:") || data === "[DONE]") continue;
+      let chunk;
+      try { chunk = JSON.parse(data); } catch (_) { continue; }
+      const delta = chunk?.choices?.[0]?.delta?.content ?? "";
+      if (chunk?.usage) usage = chunk.usage;
+      if (delta) {
+        content += delta;
+        onToken(delta, content);
+      }
+    }
+  }
+  return { content, usage };
+}
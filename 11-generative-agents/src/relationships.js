@@ -0,0 +1,135 @@
+// Relationships: what each agent thinks of every other agent, updated as they interact.
+// - familiarity 0..100: how well they know each other (grows with every exchange)
+// - affinity -100..100: how they feel about them (conversations move it, see CONVERSATION_SUMMARY_SCHEMA)
+// Relationships are one-directional (Maria's secret crush on Klaus isn't Klaus's). They start
+// from the persona seeds ("Klaus Mueller has a crush on Maria Lopez") and everyone else is a stranger.
+
+import { clamp, formatSimTime } from "./util.js";
+
+// familiarity at which two agents count as acquainted (logged once, when first reached)
+export const ACQUAINTED = 15;
+
+// Per-exchange changes. A conversation adds familiarity per line (capped) and the summary's
+// feeling (-3..3) times affinityPerFeeling.
+export const RELATIONSHIP_RATES = {
+  utterance: { familiarity: 4, affinity: 1 },
+  conversationPerTurn: 2,
+  conversationMax: 20,
+  affinityPerFeeling: 5,
+};
+
+// Seed phrase cues -> starting values (the first matching cue wins; a bare mention is the last one).
+const SEED_CUES = [
+  { re: /crush/i, familiarity: 75, affinity: 60 },
+  { re: /close friends|good friends/i, familiarity: 80, affinity: 50 },
+  { re: /friends/i, familiarity: 70, affinity: 40 },
+  { re: /kind|nice/i, familiarity: 45, affinity: 30 },
+  { re: /neighbou?rs?|known/i, familiarity: 45, affinity: 15 },
+  { re: /./, familiarity: 25, affinity: 5 },
+];
+
+export class Relationship {
+  constructor({ familiarity = 0, affinity = 0 } = {}) {
+    this.familiarity = familiarity;
+    this.affinity = affinity;
+    this.interactions = 0;
+    this.lastInteraction = null; // Date
+  }
+
+  // e.g. "close, fond of them; last talked 02-13 10:40"
+  describe() {
+    const f = this.familiarity;
+    const a = this.affinity;
+    const know = f < ACQUAINTED ? "stranger" : f < 40 ? "acquaintance" : f < 70 ? "know them well" : "close";
+    const feel = a <= -30 ? "dislike them" : a < -5 ? "uneasy about them" : a < 15 ? "neutral" : a < 40 ? "like them" : "fond of them";
+    const last = this.lastInteraction ? `last talked ${formatSimTime(this.lastInteraction).slice(5)}` : "never talked";
+    return `${know}, ${feel}; ${last}`;
+  }
+}
+
+export class Relationships {
+  constructor() {
+    this.byName = new Map(); // other agent's name -> Relationship
+  }
+
+  get(name) {
+    let rel = this.byName.get(name);
+    if (!rel) {
+      rel = new Relationship();
+      this.byName.set(name, rel);
+    }
+    return rel;
+  }
+
+  // seedMemory: the persona's semicolon-delimited phrases; others: the other agents' names.
+  seed(seedMemory, others) {
+    const phrases = String(seedMemory ?? "").split(";");
+    for (const name of others) {
+      const about = phrases.filter(p => p.includes(name));
+      if (!about.length) continue;
+      const cue = SEED_CUES.find(c => about.some(p => c.re.test(p)));
+      this.byName.set(name, new Relationship(cue));
+    }
+  }
+
+  // change: { familiarity, affinity } deltas. -> true if this exchange made them acquainted.
+  update(name, change, time) {
+    const rel = this.get(name);
+    const before = rel.familiarity;
+    rel.familiarity = clamp(rel.familiarity + (change.familiarity ?? 0), 0, 100);
+    rel.affinity = clamp(rel.affinity + (change.affinity ?? 0), -100, 100);
+    rel.interactions += 1;
+    rel.lastInteraction = time;
+    return before < ACQUAINTED && rel.familiarity >= ACQUAINTED;
+  }
+}
+
+// Network graph: agents on a circle; each direction of a pair is drawn as half of the edge, from
+// its owner to the midpoint (width: familiarity, color: affinity). Strangers have no edge.
+export function renderRelationshipGraph(ctx, agents, selectedId) {
+  const W = ctx.canvas.width;
+  const H = ctx.canvas.height;
+  ctx.clearRect(0, 0, W, H);
+  ctx.fillStyle = "#0a0c0f";
+  ctx.fillRect(0, 0, W, H);
+
+  const R = Math.min(W, H) / 2 - 34;
+  const pos = new Map(agents.map((a, i) => {
+    const t = (i / agents.length) * Math.PI * 2 - Math.PI / 2;
+    return [a.name, { x: W / 2 + R * Math.cos(t), y: H / 2 + R * Math.sin(t) }];
+  }));
+
+  for (const a of agents) {
+    const from = pos.get(a.name);
+    for (const [name, rel] of a.relationships.byName) {
+      const to = pos.get(name);
+      if (!to || rel.familiarity < ACQUAINTED) continue;
+      const mid = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+      const v = rel.affinity / 100;
+      ctx.strokeStyle = v >= 0 ? `rgba(87,209,139,${0.25 + 0.75 * v})` : `rgba(255,107,107,${0.25 - 0.75 * v})`;
+      ctx.lineWidth = 1 + (rel.familiarity / 100) * 6;
+      ctx.globalAlpha = selectedId && a.id !== selectedId ? 0.45 : 1;
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(mid.x, mid.y);
+      ctx.stroke();
+    }
+  }
+  ctx.globalAlpha = 1;
+
+  for (const a of agents) {
+    const p = pos.get(a.name);
+    const selected = a.id === selectedId;
+    ctx.fillStyle = selected ? "rgba(87,209,139,0.95)" : "rgba(255,255,255,0.88)";
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 14, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "#0a0c0f";
+    ctx.font = "bold 11px ui-sans-serif, system-ui, -apple-system";
+    const initials = a.name.split(" ").map(s => s[0]).slice(0, 2).join("");
+    ctx.fillText(initials, p.x - 8, p.y + 4);
+    ctx.fillStyle = "rgba(232,238,246,0.85)";
+    ctx.font = "11px ui-sans-serif, system-ui, -apple-system";
+    ctx.fillText(a.name.split(" ")[0], p.x - 18, p.y + 28);
+  }
+}
@@ -180,7 +180,7 @@ export function makeAgents(world) {
     },
   ];
 
-  return defs.map((d) => {
+  const agents = defs.map((d) => {
     const start = placeXY(d.startAt);
     return new Agent({
       id: d.id,
@@ -197,4 +197,10 @@ export function makeAgents(world) {
       startY: start.y,
     });
   });
+
+  // Starting relationships come from what the seed memories say about the others.
+  for (const a of agents) {
+    a.relationships.seed(a.seedMemory, agents.filter(o => o !== a).map(o => o.name));
+  }
+  return agents;
 }
@@ -0,0 +1,125 @@
+// Prioritized, cancellable request queue for LLM calls.
+// Runs one task at a time (a single local model can't serve two requests at once).
+//
+// - priority: lower runs first; equal priorities run in submission order.
+// - signal:   AbortSignal; cancels the request while it waits or while it runs.
+// - timeoutMs: limit on the running time of one request (0 = none); it then aborts
+//             with a TimeoutError.
+//
+// A task is `(signal) => Promise`; the signal it receives fires on cancel *or* timeout,
+// so the backend can stop generating.
+
+import { abortError } from "./util.js";
+
+// Default priorities by prompt kind (see LLMClient); an interactive user query jumps ahead
+// of agents' routine decisions, and background reflection/compaction waits for everything else.
+export const PRIORITY = {
+  interactive: 0,
+  interview: 0,
+  action: 10,
+  reaction: 10,
+  conversation: 10,
+  importance: 10,
+  plan: 20,
+  diary: 20,
+  reflection: 30,
+  compaction: 40,
+  background: 40,
+};
+
+export class RequestQueue {
+  constructor({ timeoutMs = 0 } = {}) {
+    this.timeoutMs = timeoutMs;
+    this._pending = []; // [{ task, priority, seq, signal, timeoutMs, label, resolve, reject, onAbort }]
+    this._running = null;
+    this._seq = 0;
+    this._listeners = new Set();
+  }
+
+  get depth() {
+    return this._pending.length;
+  }
+
+  get running() {
+    return this._running?.label ?? null;
+  }
+
+  // listener({ depth, running }) is called whenever the queue changes.
+  onChange(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  _emit() {
+    const state = { depth: this.depth, running: this.running };
+    for (const l of this._listeners) l(state);
+  }
+
+  enqueue(task, { priority = PRIORITY.action, signal = null, timeoutMs = this.timeoutMs, label = "" } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError(signal));
+        return;
+      }
+
+      const item = { task, priority, seq: this._seq++, signal, timeoutMs, label, resolve, reject, onAbort: null };
+
+      // Cancelled while waiting: drop it from the line right away.
+      item.onAbort = () => {
+        const i = this._pending.indexOf(item);
+        if (i < 0) return; // already running; the task's own signal handles it
+        this._pending.splice(i, 1);
+        reject(abortError(signal));
+        this._emit();
+      };
+      signal?.addEventListener("abort", item.onAbort, { once: true });
+
+      // keep sorted by (priority, seq)
+      let i = this._pending.findIndex(p => p.priority > priority);
+      if (i < 0) i = this._pending.length;
+      this._pending.splice(i, 0, item);
+      this._emit();
+      this._pump();
+    });
+  }
+
+  // Rejects everything still waiting (e.g. on Reset). The running task is not touched;
+  // cancel it through its own signal.
+  cancelPending(reason = "cancelled") {
+    const items = this._pending.splice(0);
+    for (const item of items) {
+      item.signal?.removeEventListener("abort", item.onAbort);
+      item.reject(new DOMException(reason, "AbortError"));
+    }
+    this._emit();
+  }
+
+  async _pump() {
+    if (this._running || !this._pending.length) return;
+
+    const item = this._pending.shift();
+    item.signal?.removeEventListener("abort", item.onAbort);
+    this._running = item;
+    this._emit();
+
+    // Per-run controller: fires on caller cancel or timeout.
+    const ctrl = new AbortController();
+    const forward = () => ctrl.abort(abortError(item.signal));
+    item.signal?.addEventListener("abort", forward, { once: true });
+    const timer = item.timeoutMs > 0
+      ? setTimeout(() => ctrl.abort(new DOMException(`LLM request timed out after ${item.timeoutMs} ms`, "TimeoutError")), item.timeoutMs)
+      : null;
+
+    try {
+      item.resolve(await item.task(ctrl.signal));
+    } catch (e) {
+      item.reject(e);
+    } finally {
+      clearTimeout(timer);
+      item.signal?.removeEventListener("abort", forward);
+      this._running = null;
+      this._emit();
+      this._pump();
+    }
+  }
+}
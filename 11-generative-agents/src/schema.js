@@ -0,0 +1,66 @@
+// Tiny JSON Schema validator (the subset used in prompts.js).
+// Supported keywords: type, enum, required, properties, additionalProperties:false,
+// items, minItems, maxItems, minimum, maximum, minLength, maxLength, pattern.
+//
+// validateSchema(schema, value) -> ["$.action: must be one of move, interact, stay", ...]
+// An empty list means the value is valid. Messages are short on purpose:
+// they are sent back to the model verbatim when asking it to repair its output.
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(expected, v) {
+  const actual = typeOf(v);
+  if (expected === "number") return actual === "number" || actual === "integer";
+  return actual === expected;
+}
+
+export function validateSchema(schema, value, path = "$") {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.type && !typeMatches(schema.type, value)) {
+    errors.push(`${path}: expected ${schema.type}, got ${typeOf(value)}`);
+    return errors; // further checks would only add noise
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(", ")} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: ${JSON.stringify(value)} does not match ${schema.description ?? `pattern ${schema.pattern}`}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum} (got ${value})`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum} (got ${value})`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items (got ${value.length})`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: allows at most ${schema.maxItems} items (got ${value.length})`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const k of schema.required ?? []) {
+      if (!(k in value)) errors.push(`${path}: missing required field "${k}"`);
+    }
+    const props = schema.properties ?? {};
+    for (const [k, v] of Object.entries(value)) {
+      if (props[k]) errors.push(...validateSchema(props[k], v, `${path}.${k}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}: unexpected field "${k}"`);
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,91 @@
+// LLM call telemetry: one entry per backend call, plus simple aggregations for the UI.
+//
+// Entry: { kind, agent, tick, mode, latencyMs, promptTokens, completionTokens,
+//          estimated, status, json }
+//   kind:   "plan" | "action" | "importance" | "reflection" | ... (what the prompt is for)
+//   status: "ok" | "error" | "aborted" | "timeout"
+//   json:   null (plain chat) | "ok" | "invalid" (did the reply parse + validate)
+//   estimated: true when the backend reported no usage and tokens were guessed from text length
+//   cached: answered from the response cache (no inference, no tokens)
+//
+// Skipped steps (an agent busy with an action, or asleep, makes no calls that tick) are counted
+// per tick in `skips`: tick -> { busy, asleep }.
+
+// Rough token estimate for backends without `usage` (~4 characters per token for English).
+export function estimateTokens(text) {
+  return Math.ceil((text?.length ?? 0) / 4);
+}
+
+function emptyTotals() {
+  return { calls: 0, latencyMs: 0, promptTokens: 0, completionTokens: 0, jsonFailed: 0, errors: 0, cached: 0 };
+}
+
+function addTo(totals, e) {
+  totals.calls += 1;
+  totals.latencyMs += e.latencyMs;
+  totals.promptTokens += e.promptTokens;
+  totals.completionTokens += e.completionTokens;
+  if (e.json === "invalid") totals.jsonFailed += 1;
+  if (e.status !== "ok") totals.errors += 1;
+  if (e.cached) totals.cached += 1;
+  return totals;
+}
+
+export class Telemetry {
+  constructor() {
+    this.entries = [];
+    this.skips = new Map();
+    // Context stamped onto each entry; main.js keeps these current.
+    this.tick = 0;
+    this.mode = "fast";
+  }
+
+  record(entry) {
+    const e = { tick: this.tick, mode: this.mode, ...entry };
+    this.entries.push(e);
+    return e;
+  }
+
+  // reason: "busy" | "asleep"
+  recordSkip(reason) {
+    if (!this.skips.has(this.tick)) this.skips.set(this.tick, { busy: 0, asleep: 0 });
+    this.skips.get(this.tick)[reason] += 1;
+  }
+
+  reset() {
+    this.entries = [];
+    this.skips = new Map();
+  }
+
+  // key: entry field to group by ("kind", "agent", "tick", "mode")
+  groupBy(key) {
+    const out = new Map();
+    for (const e of this.entries) {
+      const k = e[key] ?? "-";
+      if (!out.has(k)) out.set(k, emptyTotals());
+      addTo(out.get(k), e);
+    }
+    return out;
+  }
+
+  totals() {
+    return this.entries.reduce(addTo, emptyTotals());
+  }
+
+  // Average cost of one simulation tick per mode (init calls at tick 0 excluded).
+  perTickByMode() {
+    const out = new Map();
+    for (const [mode, totals] of this.groupBy("mode")) {
+      const ticks = new Set(this.entries.filter(e => e.mode === mode && e.tick > 0).map(e => e.tick));
+      const n = ticks.size || 1;
+      const init = this.entries.filter(e => e.mode === mode && e.tick === 0).reduce(addTo, emptyTotals());
+      out.set(mode, {
+        ticks: ticks.size,
+        calls: (totals.calls - init.calls) / n,
+        latencyMs: (totals.latencyMs - init.latencyMs) / n,
+        tokens: (totals.promptTokens + totals.completionTokens - init.promptTokens - init.completionTokens) / n,
+      });
+    }
+    return out;
+  }
+}
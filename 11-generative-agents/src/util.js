@@ -25,3 +25,141 @@ export function choice(arr) {
 export function uniq(arr) {
   return Array.from(new Set(arr));
 }
+
+export function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// "HH:MM" -> minutes since midnight
+export function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+// minutes since midnight -> "HH:MM"
+export function fromMinutes(min) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(min / 60))}:${pad(min % 60)}`;
+}
+
+// Line diff (longest common subsequence): [{ op: " " | "-" | "+", line }]
+export function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      out.push({ op: " ", line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: "-", line: a[i++] });
+    } else {
+      out.push({ op: "+", line: b[j++] });
+    }
+  }
+  while (i < n) out.push({ op: "-", line: a[i++] });
+  while (j < m) out.push({ op: "+", line: b[j++] });
+  return out;
+}
+
+export function stableStringify(value) {
+  // JSON.stringify with sorted object keys, so equal requests hash equally.
+  if (value === undefined) return "null";
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+}
+
+export function hashString(str, seed = 0) {
+  // cyrb53: small, fast, well-distributed 53-bit string hash (not cryptographic).
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, "0");
+}
+
+export function seededRandom(seed) {
+  // mulberry32 PRNG; seed is any string or number.
+  let a = typeof seed === "number" ? seed >>> 0 : parseInt(hashString(String(seed)).slice(-8), 16);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function downloadJSON(filename, obj) {
+  // Browser-only helper: save an object as a .json file.
+  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function abortError(signal) {
+  return signal?.reason ?? new DOMException("The operation was aborted.", "AbortError");
+}
+
+export function isAbortError(e) {
+  return e?.name === "AbortError";
+}
+
+export function partialJSONString(text, key) {
+  // Best-effort read of a string field from (possibly unfinished) streamed JSON.
+  // Returns the decoded characters seen so far, or "" if the field hasn't started yet.
+  const m = new RegExp(`"${key}"\\s*:\\s*"`).exec(text);
+  if (!m) return "";
+  let out = "";
+  for (let i = m.index + m[0].length; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') break;
+    if (ch !== "\\") { out += ch; continue; }
+    const nxt = text[++i];
+    if (nxt === undefined) break;
+    if (nxt === "u") {
+      const hex = text.slice(i + 1, i + 5);
+      if (hex.length < 4) break;
+      out += String.fromCharCode(parseInt(hex, 16));
+      i += 4;
+    } else {
+      out += { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" }[nxt] ?? nxt;
+    }
+  }
+  return out;
+}
+
+export async function streamChunks(text, onToken, signal = null, wordsPerChunk = 4) {
+  // Replays a finished completion through onToken a few words at a time
+  // (used by offline backends so streaming UIs behave like with a real model).
+  const parts = text.match(/\S+\s*|\s+/g) ?? [];
+  let sent = "";
+  for (let i = 0; i < parts.length; i += wordsPerChunk) {
+    if (signal?.aborted) throw abortError(signal);
+    const delta = parts.slice(i, i + wordsPerChunk).join("");
+    sent += delta;
+    onToken(delta, sent);
+    await sleep(0);
+  }
+  if (signal?.aborted) throw abortError(signal);
+}
@@ -1,6 +1,8 @@
 // Simple 2D world: named places + chat + event log.
 // Rendering uses Canvas 2D.
 
+import { HearingLog } from "./diffusion.js";
+import { CorrectionLog } from "./normalize.js";
 import { clamp, dist } from "./util.js";
 
 export class World {
@@ -12,18 +14,37 @@ export class World {
     // Coordinates are in grid space [0,width] x [0,height].
     // Names and landmarks mirror the "Smallville" setting from the Generative Agents paper.
     this.places = [
-      { id: "hobbs", name: "Hobbs Cafe", x: 10, y: 10, r: 3.0, desc: "A cozy coffee shop with pastries and regulars." },
+      { id: "hobbs", name: "Hobbs Cafe", x: 10, y: 10, r: 3.0, food: true, desc: "A cozy coffee shop with pastries and regulars." },
       { id: "park", name: "Johnson Park", x: 22, y: 9, r: 3.5, desc: "A green park with benches, flowers, and walking paths." },
       { id: "college", name: "Oak Hill College", x: 20, y: 21, r: 3.2, desc: "A small college campus where students attend classes." },
       { id: "library", name: "Oak Hill College Library", x: 8, y: 22, r: 3.2, desc: "A quiet library used for studying and research." },
-      { id: "market", name: "Willow Market and Pharmacy", x: 26, y: 26, r: 3.2, desc: "A neighborhood market with a pharmacy counter." },
+      { id: "market", name: "Willow Market and Pharmacy", x: 26, y: 26, r: 3.2, food: true, desc: "A neighborhood market with a pharmacy counter." },
       { id: "plaza", name: "Town Plaza", x: 14, y: 28, r: 3.8, desc: "The center of town where people pass by and chat." },
     ];
 
+    // Objects inside places (paper: a coffee machine that is "brewing"). Using one puts it in its
+    // `busy` state for `minutes`, then updateObjects() returns it to `idle`.
+    // dx/dy: offset from the place center (grid cells), for drawing.
+    this.objects = [
+      { id: "coffee", name: "coffee machine", placeId: "hobbs", dx: -1.4, dy: 1.2, idle: "idle", busy: "brewing coffee", minutes: 10 },
+      { id: "oven", name: "pastry oven", placeId: "hobbs", dx: 1.4, dy: 1.2, idle: "off", busy: "baking pastries", minutes: 30 },
+      { id: "bench", name: "park bench", placeId: "park", dx: -1.6, dy: 1.6, idle: "free", busy: "occupied", minutes: 20 },
+      { id: "flowers", name: "flower bed", placeId: "park", dx: 1.6, dy: 1.6, idle: "blooming", busy: "being watered", minutes: 10 },
+      { id: "whiteboard", name: "whiteboard", placeId: "college", dx: 0, dy: 1.6, idle: "blank", busy: "being written on", minutes: 30 },
+      { id: "desk", name: "study desk", placeId: "library", dx: -1.4, dy: 1.6, idle: "free", busy: "occupied", minutes: 30 },
+      { id: "computer", name: "library computer", placeId: "library", dx: 1.4, dy: 1.6, idle: "free", busy: "in use", minutes: 20 },
+      { id: "register", name: "cash register", placeId: "market", dx: -1.4, dy: 1.6, idle: "closed", busy: "ringing up a sale", minutes: 10 },
+      { id: "counter", name: "pharmacy counter", placeId: "market", dx: 1.4, dy: 1.6, idle: "unattended", busy: "serving a customer", minutes: 20 },
+      { id: "board", name: "notice board", placeId: "plaza", dx: 0, dy: 2.2, idle: "covered in flyers", busy: "being read", minutes: 10 },
+    ].map(o => ({ ...o, state: o.idle, user: null, until: null }));
+
     this.chatByPlace = new Map(); // placeId -> [{speaker,text,time}]
     for (const p of this.places) this.chatByPlace.set(p.id, []);
 
-    this.log = []; // [{time,text,place}]
+    this.log = []; // [{time,text,place,kind}]
+    this.hearings = new HearingLog(); // who heard which line (see diffusion.js)
+    this.conversations = []; // finished conversation sessions (see conversation.js)
+    this.corrections = new CorrectionLog(); // fixes applied to the agents' LLM output (see normalize.js)
   }
 
   nearestPlace(x, y) {
@@ -55,7 +76,7 @@ export class World {
 
     const others = [];
     for (const a of allAgents) {
-      if (a.id === agent.id) continue;
+      if (a.id === agent.id || a.asleep) continue; // sleepers are out of the scene
       const samePlace = place && this.placeAt(a.x, a.y)?.id === place.id;
       if (samePlace) {
         others.push({ id: a.id, name: a.name, action: a.currentAction || "idle" });
@@ -63,22 +84,57 @@ export class World {
     }
 
     const chat = placeId ? (this.chatByPlace.get(placeId) ?? []).slice(-6) : [];
+    const objects = this.objectsAt(placeId).map(o => ({ name: o.name, state: o.state, user: o.user }));
+
+    return { place, placeId, placeName, others, chat, objects };
+  }
 
-    return { place, placeId, placeName, others, chat };
+  objectsAt(placeId) {
+    return placeId ? this.objects.filter(o => o.placeId === placeId) : [];
   }
 
-  postChat(placeId, speaker, text, time) {
+  // Puts obj in its busy state for `who` -> false while someone else is using it.
+  useObject(obj, who, time) {
+    if (obj.user && obj.user !== who) return false;
+    obj.state = obj.busy;
+    obj.user = who;
+    obj.until = new Date(time.getTime() + obj.minutes * 60 * 1000);
+    this.logEvent(time, `${who} uses the ${obj.name} (${obj.busy}).`, obj.placeId);
+    return true;
+  }
+
+  // Once per tick: objects whose use is over go back to idle.
+  updateObjects(now) {
+    for (const o of this.objects) {
+      if (!o.until || o.until > now) continue;
+      o.state = o.idle;
+      o.user = null;
+      o.until = null;
+      this.logEvent(now, `The ${o.name} is ${o.idle} again.`, o.placeId);
+    }
+  }
+
+  // Everyone at the place except the speaker (lines spoken on the street go unheard, like postChat).
+  listeners(placeId, speaker, allAgents) {
+    if (!placeId) return [];
+    return allAgents.filter(a => a.name !== speaker && !a.asleep && this.placeAt(a.x, a.y)?.id === placeId);
+  }
+
+  // to: name of the person addressed (if any); log: false for lines that are shown elsewhere
+  // (conversation threads)
+  postChat(placeId, speaker, text, time, { to = null, log = true } = {}) {
     if (!placeId) return;
     const arr = this.chatByPlace.get(placeId);
     if (!arr) return;
-    arr.push({ speaker, text, time });
+    arr.push({ speaker, text, time, to });
     // Also log to world events
-    this.log.push({ time, text: `${speaker}: ${text}`, place: this.places.find(p => p.id === placeId)?.name ?? "" });
+    if (log) this.log.push({ time, text: `${speaker}: ${text}`, place: this.places.find(p => p.id === placeId)?.name ?? "", kind: "event" });
   }
 
-  logEvent(time, text, placeId = null) {
+  // kind: "event", or "intervention" for changes made by the user (see Agent.injectMemory).
+  logEvent(time, text, placeId = null, { kind = "event" } = {}) {
     const place = placeId ? (this.places.find(p => p.id === placeId)?.name ?? "") : "";
-    this.log.push({ time, text, place });
+    this.log.push({ time, text, place, kind });
   }
 
   cleanupOldChat(now, keepMinutes = 120) {
@@ -135,6 +191,18 @@ export class World {
       ctx.fillText(p.id, px - pr + 6, py - pr + 28);
     }
 
+    // objects (amber while in use)
+    ctx.font = "10px ui-sans-serif, system-ui, -apple-system";
+    for (const o of this.objects) {
+      const p = this.places.find(pl => pl.id === o.placeId);
+      const ox = (p.x + o.dx) * cell;
+      const oy = (p.y + o.dy) * cell;
+      ctx.fillStyle = o.user ? "rgba(255,196,87,0.95)" : "rgba(154,164,175,0.7)";
+      ctx.fillRect(ox - 4, oy - 4, 8, 8);
+      ctx.fillStyle = "rgba(154,164,175,0.9)";
+      ctx.fillText(o.user ? `${o.name}: ${o.state}` : o.name, ox + 7, oy + 4);
+    }
+
     // agents
     for (const a of agents) {
       const ax = a.x * cell;
@@ -143,7 +211,7 @@ export class World {
 
       const selected = a.id === selectedAgentId;
 
-      ctx.fillStyle = selected ? "rgba(87,209,139,0.95)" : "rgba(255,255,255,0.88)";
+      ctx.fillStyle = selected ? "rgba(87,209,139,0.95)" : a.asleep ? "rgba(255,255,255,0.35)" : "rgba(255,255,255,0.88)";
       ctx.strokeStyle = selected ? "rgba(87,209,139,0.95)" : "rgba(0,0,0,0.35)";
       ctx.lineWidth = selected ? 4 : 2;
 